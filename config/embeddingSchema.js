@@ -0,0 +1,60 @@
+/**
+ * Embedding schema: the public vector fields an entry carries and how each
+ * one is stored. The indexed field is written to the collection's `$vector`
+ * so that vector search sorts on it.
+ */
+const primaryEmbedding = {
+  field: 'primary_embedding',
+  storageField: '$vector',
+  dimension: parseInt(process.env.DEFAULT_VECTOR_DIMENSIONS) || 768,
+  metric: process.env.VECTOR_METRIC || 'cosine'
+};
+
+/**
+ * Optional low-dimension embedding for fast first-pass search. A collection
+ * has a single vector index, so it is indexed in a mirror collection (see
+ * services/lightweightIndex.js) and kept as a plain field on the entry.
+ */
+const lightweightEmbedding = {
+  field: 'lightweight_embedding',
+  collection: process.env.LIGHTWEIGHT_COLLECTION || 'semantic_search_lightweight',
+  dimension: parseInt(process.env.LIGHTWEIGHT_VECTOR_DIMENSIONS) || 384,
+  metric: primaryEmbedding.metric
+};
+
+/**
+ * Optional named feature vectors (dimensions in middleware/validation.js),
+ * stored together under one field. They aren't indexed; multi-vector search
+ * compares them when re-scoring candidates.
+ */
+const featureVectors = {
+  field: 'feature_vectors',
+  names: ['feature', 'temporal', 'emotional', 'semantic', 'user']
+};
+
+const vectorFields = [primaryEmbedding];
+
+/**
+ * Vector options for creating (or verifying) the main collection
+ */
+const collectionVectorOptions = {
+  dimension: primaryEmbedding.dimension,
+  metric: primaryEmbedding.metric
+};
+
+/**
+ * Vector options for the lightweight mirror collection
+ */
+const lightweightVectorOptions = {
+  dimension: lightweightEmbedding.dimension,
+  metric: lightweightEmbedding.metric
+};
+
+module.exports = {
+  primaryEmbedding,
+  lightweightEmbedding,
+  lightweightVectorOptions,
+  featureVectors,
+  vectorFields,
+  collectionVectorOptions
+};
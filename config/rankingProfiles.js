@@ -0,0 +1,53 @@
+/**
+ * Named ranking profiles selectable per search request via `ranking_profile`.
+ *
+ * A profile is an ordered list of scoring stages applied to each result's
+ * similarity (see services/search/ranking.js for the stage types and their
+ * parameters), optionally capped at `cap`. Uncapped scores may exceed 1, which
+ * keeps boosts meaningful among near-identical matches.
+ */
+const rankingProfiles = {
+  // Plain vector similarity, no re-ranking
+  similarity: {
+    stages: []
+  },
+
+  // Mild preference for fresh, well-aligned and manually boosted entries
+  balanced: {
+    stages: [
+      { type: 'recency', half_life_days: 30, weight: 0.05 },
+      { type: 'preference', weight: 0.05 },
+      { type: 'tag_match', weight: 0.05 },
+      { type: 'boost_factor' }
+    ]
+  },
+
+  // Strongly favour the last week or so
+  recent_first: {
+    stages: [
+      { type: 'recency', half_life_days: 7, weight: 0.2 },
+      { type: 'boost_factor' }
+    ]
+  },
+
+  // Favour entries whose emotions match ranking_context.emotions
+  emotional: {
+    stages: [
+      { type: 'emotion_match', weight: 0.15 },
+      { type: 'boost_factor' }
+    ]
+  },
+
+  // Journal reflections over chat chatter
+  journal_focus: {
+    stages: [
+      { type: 'content_type_weights', weights: { journal_entry: 1.1, chat_message: 0.9 } },
+      { type: 'boost_factor' }
+    ]
+  }
+};
+
+module.exports = {
+  rankingProfiles,
+  DEFAULT_RANKING_PROFILE: process.env.DEFAULT_RANKING_PROFILE || 'similarity'
+};
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const { verifyJwt } = require('../services/jwt');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Principal used for every request when AUTH_MODE=disabled
+const UNAUTHENTICATED_ADMIN = Object.freeze({ method: 'none', role: 'admin', user_id: null });
+
+const digest = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const adminPrincipal = (method) => ({ method, role: 'admin', user_id: null });
+
+/**
+ * Principal acting for one user, or null unless userId is a UUID
+ */
+const userPrincipal = (method, userId) => (
+  typeof userId === 'string' && UUID_PATTERN.test(userId)
+    ? { method, role: 'user', user_id: userId }
+    : null
+);
+
+/**
+ * Principal for an API key scope: "admin" or the user_id it may act for
+ */
+const principalFor = (method, scope) => (scope === 'admin' ? adminPrincipal(method) : userPrincipal(method, scope));
+
+/**
+ * Parse API_KEYS: comma-separated `<key>:<scope>` pairs, where scope is
+ * `admin` or a user_id. Keys are held as SHA-256 digests.
+ */
+function parseApiKeys(value = '') {
+  const keys = new Map();
+
+  value.split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+    const separator = pair.lastIndexOf(':');
+    const key = pair.slice(0, separator);
+    const principal = principalFor('api_key', pair.slice(separator + 1));
+
+    if (separator <= 0 || !principal) {
+      throw new Error('API_KEYS entries must look like <key>:admin or <key>:<user_id>');
+    }
+
+    // key_id names the key (e.g. for rate limits) without revealing it
+    const keyDigest = digest(key);
+    keys.set(keyDigest, { ...principal, key_id: keyDigest.slice(0, 12) });
+  });
+
+  return keys;
+}
+
+const unauthorized = (res, error) => res
+  .status(401)
+  .set('WWW-Authenticate', 'Bearer')
+  .json({
+    success: false,
+    error,
+    timestamp: new Date().toISOString()
+  });
+
+/**
+ * Authenticate API requests with an API key (`X-API-Key`) or an HS256 JWT
+ * (`Authorization: Bearer <token>`) and set the caller's principal on
+ * `req.auth` as `{ method, role: 'user' | 'admin', user_id }`.
+ *
+ * JWTs name the user in `sub`, or carry `role: "admin"`. Services use the
+ * principal to keep user credentials to their own entries (services/access.js).
+ * AUTH_MODE=disabled treats every request as admin, for local development.
+ */
+const authenticate = (options = {}) => {
+  const mode = options.mode || process.env.AUTH_MODE || 'required';
+  const apiKeys = options.apiKeys || parseApiKeys(process.env.API_KEYS);
+  const jwtSecret = options.jwtSecret || process.env.JWT_SECRET;
+  const jwtOptions = {
+    issuer: options.jwtIssuer || process.env.JWT_ISSUER,
+    audience: options.jwtAudience || process.env.JWT_AUDIENCE
+  };
+
+  if (mode === 'disabled') {
+    console.warn('⚠️  AUTH_MODE=disabled: API requests are not authenticated');
+    return (req, res, next) => {
+      req.auth = UNAUTHENTICATED_ADMIN;
+      next();
+    };
+  }
+
+  if (apiKeys.size === 0 && !jwtSecret) {
+    throw new Error('Authentication requires API_KEYS or JWT_SECRET (or AUTH_MODE=disabled for local development)');
+  }
+
+  return (req, res, next) => {
+    const apiKey = req.get('X-API-Key');
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+    if (apiKey) {
+      const principal = apiKeys.get(digest(apiKey));
+      if (!principal) {
+        return unauthorized(res, 'Invalid API key');
+      }
+      req.auth = principal;
+      return next();
+    }
+
+    if (/^bearer$/i.test(scheme) && token && jwtSecret) {
+      let claims;
+      try {
+        claims = verifyJwt(token, jwtSecret, jwtOptions);
+      } catch (error) {
+        return unauthorized(res, `Invalid bearer token: ${error.message}`);
+      }
+
+      // Only the role claim grants admin; sub must name a user
+      const principal = claims.role === 'admin' ? adminPrincipal('jwt') : userPrincipal('jwt', claims.sub);
+      if (!principal) {
+        return unauthorized(res, 'Bearer token must name a user_id in sub or have the admin role');
+      }
+      req.auth = principal;
+      return next();
+    }
+
+    return unauthorized(res, 'Authentication required: send an X-API-Key header or a Bearer token');
+  };
+};
+
+module.exports = {
+  authenticate,
+  parseApiKeys
+};
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+
+const MAX_KEY_LENGTH = 255;
+
+// Expired records are swept at most this often
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * In-memory record store for idempotency keys, with per-record expiry.
+ * Keeps at most `maxRecords` records, dropping the oldest first.
+ */
+class MemoryIdempotencyStore {
+  constructor(options = {}) {
+    this.records = new Map();
+    this.maxRecords = options.maxRecords || parseInt(process.env.IDEMPOTENCY_MAX_RECORDS) || 10000;
+    this.nextSweep = 0;
+  }
+
+  get(key) {
+    const record = this.records.get(key);
+
+    if (record && record.expiresAt <= Date.now()) {
+      this.records.delete(key);
+      return null;
+    }
+
+    return record || null;
+  }
+
+  set(key, record) {
+    const now = Date.now();
+
+    // Drop expired records now and then so one-off keys don't accumulate
+    if (now >= this.nextSweep) {
+      this.records.forEach((stored, storedKey) => {
+        if (stored.expiresAt <= now) {
+          this.records.delete(storedKey);
+        }
+      });
+      this.nextSweep = now + SWEEP_INTERVAL_MS;
+    }
+
+    // Re-inserting moves the key to the end of the (insertion ordered) map
+    this.records.delete(key);
+    this.records.set(key, record);
+
+    while (this.records.size > this.maxRecords) {
+      this.records.delete(this.records.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.records.delete(key);
+  }
+}
+
+const defaultStore = new MemoryIdempotencyStore();
+
+const fingerprintBody = (body) => crypto
+  .createHash('sha256')
+  .update(typeof body === 'string' ? body : JSON.stringify(body || {}))
+  .digest('hex');
+
+/**
+ * Idempotency-Key support for POST routes.
+ *
+ * The first request with a key runs normally and its response is recorded;
+ * retries with the same key and body replay that response with an
+ * `Idempotent-Replayed: true` header. Reusing a key with a different body
+ * is rejected with 422, and a retry while the original is still running
+ * gets 409. Server errors (5xx) are not recorded so they can be retried.
+ */
+const idempotency = (options = {}) => {
+  const store = options.store || defaultStore;
+  const ttlMs = options.ttlMs || parseInt(process.env.IDEMPOTENCY_TTL_MS) || 24 * 60 * 60 * 1000;
+
+  return (req, res, next) => {
+    const idempotencyKey = req.get('Idempotency-Key');
+
+    if (!idempotencyKey) {
+      return next();
+    }
+
+    if (idempotencyKey.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Keys are scoped to the caller so one credential can't replay another's response
+    const principal = req.auth ? `${req.auth.role}:${req.auth.user_id || ''}` : 'anonymous';
+    const recordKey = `${principal}:${req.method}:${req.baseUrl}${req.path}:${idempotencyKey}`;
+    const fingerprint = fingerprintBody(req.body);
+    const record = store.get(recordKey);
+
+    if (record) {
+      if (record.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          success: false,
+          error: 'Idempotency-Key has already been used with a different request body',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (record.inProgress) {
+        return res.status(409).json({
+          success: false,
+          error: 'A request with this Idempotency-Key is still being processed',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.statusCode).json(record.body);
+    }
+
+    store.set(recordKey, { fingerprint, inProgress: true, expiresAt: Date.now() + ttlMs });
+
+    // Capture the response so retries can replay it
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 500) {
+        store.delete(recordKey);
+      } else {
+        store.set(recordKey, {
+          fingerprint,
+          inProgress: false,
+          statusCode: res.statusCode,
+          body,
+          expiresAt: Date.now() + ttlMs
+        });
+      }
+      return originalJson(body);
+    };
+
+    // Release the key if the request ends without a JSON response
+    res.on('close', () => {
+      const current = store.get(recordKey);
+      if (current && current.inProgress) {
+        store.delete(recordKey);
+      }
+    });
+
+    next();
+  };
+};
+
+module.exports = {
+  idempotency,
+  MemoryIdempotencyStore
+};
@@ -0,0 +1,123 @@
+const ServiceError = require('../services/serviceError');
+
+/**
+ * In-memory fixed-window hit counter. Any object with the same async
+ * `increment(key, windowMs)` can be passed as `store`, e.g. one backed by a
+ * shared cache when running several instances.
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.windows = new Map();
+    this.nextSweep = 0;
+  }
+
+  /**
+   * Count a hit for `key`; resolves the hits in its current window and when
+   * that window resets (epoch ms)
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+
+    // Drop finished windows now and then so idle clients don't accumulate
+    if (now >= this.nextSweep) {
+      this.windows.forEach((window, windowKey) => {
+        if (window.resetAt <= now) {
+          this.windows.delete(windowKey);
+        }
+      });
+      this.nextSweep = now + windowMs;
+    }
+
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+
+    window.count += 1;
+    return { count: window.count, resetAt: window.resetAt };
+  }
+}
+
+const defaultStore = new MemoryRateLimitStore();
+
+/**
+ * Request budgets from the environment: searches and writes can get their
+ * own limit, everything else uses RATE_LIMIT_MAX_REQUESTS
+ */
+const budgetsFromEnv = () => {
+  const windowMs = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000;
+  const max = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100;
+
+  return {
+    search: { windowMs, max: parseInt(process.env.RATE_LIMIT_SEARCH_MAX_REQUESTS) || max },
+    write: { windowMs, max: parseInt(process.env.RATE_LIMIT_WRITE_MAX_REQUESTS) || max },
+    read: { windowMs, max }
+  };
+};
+
+const budgetFor = (req) => {
+  if (req.path === '/search' || /\/similar\/?$/.test(req.path)) {
+    return 'search';
+  }
+  return ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? 'read' : 'write';
+};
+
+/**
+ * Who a budget is counted for: a user across all their credentials, else
+ * the API key, else the client address
+ */
+const clientKey = (req) => {
+  const auth = req.auth || {};
+
+  if (auth.user_id) {
+    return `user:${auth.user_id}`;
+  }
+  if (auth.key_id) {
+    return `key:${auth.key_id}`;
+  }
+  return `ip:${req.ip}`;
+};
+
+/**
+ * Rate limit requests per client, with separate search / write / read
+ * budgets. Responses carry `RateLimit-Policy`, `RateLimit-Limit`,
+ * `RateLimit-Remaining` and `RateLimit-Reset` (seconds); requests over budget
+ * get 429 with `Retry-After`. Mount after authenticate() so callers are
+ * counted by principal.
+ */
+const rateLimit = (options = {}) => {
+  const store = options.store || defaultStore;
+  const budgets = options.budgets || budgetsFromEnv();
+
+  return async (req, res, next) => {
+    const budget = budgetFor(req);
+    const { windowMs, max } = budgets[budget];
+
+    try {
+      const { count, resetAt } = await store.increment(`${budget}:${clientKey(req)}`, windowMs);
+      const resetSeconds = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+
+      res.set({
+        'RateLimit-Policy': `${max};w=${Math.ceil(windowMs / 1000)}`,
+        'RateLimit-Limit': String(max),
+        'RateLimit-Remaining': String(Math.max(0, max - count)),
+        'RateLimit-Reset': String(resetSeconds)
+      });
+
+      if (count > max) {
+        res.set('Retry-After', String(resetSeconds));
+        return next(new ServiceError(`Rate limit exceeded for ${budget} requests`, 429));
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  rateLimit,
+  MemoryRateLimitStore
+};
@@ -1,17 +1,36 @@
 const Joi = require('joi');
+const { primaryEmbedding, lightweightEmbedding, featureVectors } = require('../config/embeddingSchema');
+const { rankingProfiles } = require('../config/rankingProfiles');
+const { LISTING_SORT_FIELDS } = require('../services/cursor');
 
 // Define validation schemas for semantic search
 const semanticSearchSchemas = {
-  // Primary embedding validation (768 dimensions)
+  // ISO 8601 timestamp, stored as canonical UTC (toISOString) so that time
+  // filters and listing cursors can compare timestamps as strings
+  timestamp: Joi.date()
+    .iso()
+    .custom(value => value.toISOString()),
+
+  // Primary embedding validation (dimension from config/embeddingSchema.js, 768 by default)
   primaryEmbedding: Joi.array()
     .items(Joi.number().required())
-    .length(768)
+    .length(primaryEmbedding.dimension)
     .required()
     .messages({
-      'array.length': 'Primary embedding must have exactly 768 dimensions',
+      'array.length': `Primary embedding must have exactly ${primaryEmbedding.dimension} dimensions`,
       'array.base': 'Primary embedding must be an array of numbers'
     }),
 
+  // Lightweight embedding validation (384 dimensions by default)
+  lightweightEmbedding: Joi.array()
+    .items(Joi.number().required())
+    .length(lightweightEmbedding.dimension)
+    .required()
+    .messages({
+      'array.length': `Lightweight embedding must have exactly ${lightweightEmbedding.dimension} dimensions`,
+      'array.base': 'Lightweight embedding must be an array of numbers'
+    }),
+
   // Feature vector validation (90 dimensions)
   featureVector: Joi.array()
     .items(Joi.number().required())
@@ -86,6 +105,20 @@ const semanticSearchSchemas = {
   }).default({})
 };
 
+// Named feature vectors an entry may carry (names from config/embeddingSchema.js)
+const featureVectorsSchema = Joi.object({
+  feature: semanticSearchSchemas.featureVector.optional(),
+  temporal: semanticSearchSchemas.temporalFeatures.optional(),
+  emotional: semanticSearchSchemas.emotionalFeatures.optional(),
+  semantic: semanticSearchSchemas.semanticFeatures.optional(),
+  user: semanticSearchSchemas.userFeatures.optional()
+}).min(1);
+
+// Multi-vector search weights: `primary` plus any feature vector name
+const vectorWeightsSchema = Joi.object(Object.fromEntries(
+  ['primary', ...featureVectors.names].map(name => [name, Joi.number().min(0)])
+)).min(1);
+
 // Create semantic search entry validation
 const createSemanticSearchSchema = Joi.object({
   user_id: Joi.string().uuid().required(),
@@ -96,10 +129,12 @@ const createSemanticSearchSchema = Joi.object({
   content: Joi.string().required(),
   session_id: Joi.string().uuid().required(),
   conversation_context: Joi.string().max(1000).optional(),
-  primary_embedding: Joi.array().items(Joi.number().required()).length(768).required(),
-  created_at: Joi.string().required(),
-  updated_at: Joi.string().required(),
-  lightweight_embedding: Joi.array().items(Joi.number().required()).length(384).optional(),
+  // Optional: when omitted, title + content are embedded by the configured provider
+  primary_embedding: semanticSearchSchemas.primaryEmbedding.optional(),
+  created_at: semanticSearchSchemas.timestamp.required(),
+  updated_at: semanticSearchSchemas.timestamp.required(),
+  lightweight_embedding: semanticSearchSchemas.lightweightEmbedding.optional(),
+  feature_vectors: featureVectorsSchema.optional(),
   text_length: Joi.number().integer().min(0).optional(),
   processing_time_ms: Joi.number().min(0).optional(),
   model_version: Joi.string().optional(),
@@ -146,10 +181,12 @@ const updateSemanticSearchSchema = Joi.object({
   content: Joi.string().required(),
   session_id: Joi.string().uuid().required(),
   conversation_context: Joi.string().max(1000).optional(),
-  primary_embedding: Joi.array().items(Joi.number().required()).length(768).required(),
-  created_at: Joi.string().required(),
-  updated_at: Joi.string().required(),
-  lightweight_embedding: Joi.array().items(Joi.number().required()).length(384).optional(),
+  // Optional: when omitted, title + content are embedded by the configured provider
+  primary_embedding: semanticSearchSchemas.primaryEmbedding.optional(),
+  created_at: semanticSearchSchemas.timestamp.required(),
+  updated_at: semanticSearchSchemas.timestamp.required(),
+  lightweight_embedding: semanticSearchSchemas.lightweightEmbedding.optional(),
+  feature_vectors: featureVectorsSchema.optional(),
   text_length: Joi.number().integer().min(0).optional(),
   processing_time_ms: Joi.number().min(0).optional(),
   model_version: Joi.string().optional(),
@@ -186,6 +223,14 @@ const updateSemanticSearchSchema = Joi.object({
   }).optional()
 });
 
+// Linked entity additions/removals for PATCH array operations
+const linkedEntityOperationSchema = Joi.object({
+  people: Joi.array().items(Joi.string()).optional(),
+  locations: Joi.array().items(Joi.string()).optional(),
+  events: Joi.array().items(Joi.string()).optional(),
+  topics: Joi.array().items(Joi.string()).optional()
+});
+
 // Partial update semantic search entry validation (for PATCH operations)
 const partialUpdateSemanticSearchSchema = Joi.object({
   user_id: Joi.string().uuid().optional(),
@@ -196,8 +241,9 @@ const partialUpdateSemanticSearchSchema = Joi.object({
   content: Joi.string().optional(),
   session_id: Joi.string().uuid().optional(),
   conversation_context: Joi.string().max(1000).optional(),
-  primary_embedding: Joi.array().items(Joi.number().required()).length(768).optional(),
-  lightweight_embedding: Joi.array().items(Joi.number().required()).length(384).optional(),
+  primary_embedding: semanticSearchSchemas.primaryEmbedding.optional(),
+  lightweight_embedding: semanticSearchSchemas.lightweightEmbedding.optional(),
+  feature_vectors: featureVectorsSchema.optional(),
   text_length: Joi.number().integer().min(0).optional(),
   processing_time_ms: Joi.number().min(0).optional(),
   model_version: Joi.string().optional(),
@@ -231,19 +277,265 @@ const partialUpdateSemanticSearchSchema = Joi.object({
     boost_factor: Joi.number().min(0).optional(),
     recency_weight: Joi.number().min(0).optional(),
     user_preference_alignment: Joi.number().min(0).optional()
-  }).optional()
+  }).optional(),
+  // Array operations, applied after the merge
+  add_tags: Joi.array().items(Joi.string().max(100)).max(20).optional(),
+  remove_tags: Joi.array().items(Joi.string()).optional(),
+  add_linked_entities: linkedEntityOperationSchema.optional(),
+  remove_linked_entities: linkedEntityOperationSchema.optional()
+}).min(1).messages({
+  'object.min': 'At least one field or array operation must be provided'
+});
+
+// Result diversification (Maximal Marginal Relevance) options
+const diversifySchema = Joi.object({
+  lambda: Joi.number().min(0).max(1).default(0.5),
+  field: Joi.string().valid('session_id', 'content_type').optional()
 });
 
+const rankingProfileSchema = Joi.string().valid(...Object.keys(rankingProfiles));
+
+// Response field selection: arrays in JSON bodies, repeated or
+// comma-separated values in query strings. Embeddings are only returned
+// when named in `fields`.
+const fieldPathsSchema = Joi.array()
+  .items(Joi.string().pattern(/^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z0-9_]+)*$/))
+  .max(50);
+
+const splitFieldList = (value, helpers) => {
+  const { error, value: paths } = fieldPathsSchema.validate(
+    value.split(',').map(path => path.trim()).filter(Boolean)
+  );
+  return error ? helpers.error('any.invalid') : paths;
+};
+
+const fieldListSchema = Joi.alternatives().try(
+  fieldPathsSchema,
+  Joi.string().max(2000).custom(splitFieldList)
+);
+
+const fieldSelectionFields = {
+  fields: fieldListSchema.optional(),
+  exclude: fieldListSchema.optional()
+};
+
+// Paging through ranked search results; cursor is the next_cursor of a previous page
+const searchPaginationFields = {
+  offset: Joi.number().integer().min(0).max(900).optional(),
+  cursor: Joi.string().max(512).optional()
+};
+
+// Time-window filters shared by search and the listing endpoints. Hour ranges
+// wrap past midnight when hour_from > hour_to (e.g. 22 -> 2)
+const timeFilterFields = {
+  created_after: Joi.date().iso().optional(),
+  created_before: Joi.date().iso().when('created_after', {
+    is: Joi.exist(),
+    then: Joi.date().greater(Joi.ref('created_after'))
+  }).optional(),
+  hour_from: Joi.number().integer().min(0).max(23).optional(),
+  hour_to: Joi.number().integer().min(0).max(23).optional(),
+  days_of_week: Joi.array().items(Joi.number().integer().min(0).max(6)).single().optional(),
+  is_weekend: Joi.boolean().optional()
+};
+
+const EMOTIONS = ['joy', 'sadness', 'anger', 'fear', 'surprise', 'disgust', 'anticipation', 'trust'];
+
+// Emotion filters, plus a target emotion profile blended into ranking with
+// weight emotion_weight (0 in the profile asks for an emotion to be absent)
+const emotionFields = {
+  dominant_emotion: Joi.array().items(Joi.string()).single().optional(),
+  min_intensity: Joi.number().min(0).max(1).optional(),
+  max_intensity: Joi.number().min(0).max(1).when('min_intensity', {
+    is: Joi.exist(),
+    then: Joi.number().min(Joi.ref('min_intensity'))
+  }).optional(),
+  emotion_profile: Joi.object(
+    Object.fromEntries(EMOTIONS.map(emotion => [emotion, Joi.number().min(0).max(1)]))
+  ).min(1).optional(),
+  emotion_weight: Joi.number().min(0).max(1).default(0.3)
+};
+
+const ENTITY_KINDS = ['people', 'locations', 'events', 'topics'];
+
+// Linked entity names per kind, for filters
+const entityNamesSchema = Joi.object(
+  Object.fromEntries(ENTITY_KINDS.map(kind => [kind, Joi.array().items(Joi.string()).single().min(1)]))
+).min(1);
+
+// required_entities: every listed entity must be linked; any_entities: at least one
+const entityFilterFields = {
+  required_entities: entityNamesSchema.optional(),
+  any_entities: entityNamesSchema.optional()
+};
+
 // Search query validation
 const searchQuerySchema = Joi.object({
-  embedding: semanticSearchSchemas.primaryEmbedding,
+  // Either a query vector or query_text for the embedding provider
+  embedding: semanticSearchSchemas.primaryEmbedding.optional(),
+  // Index to search: primary_embedding, lightweight_embedding alone, or
+  // lightweight candidates re-scored with primary_embedding
+  vector_index: Joi.string().valid('primary', 'lightweight', 'two_stage').default('primary'),
+  lightweight_embedding: semanticSearchSchemas.lightweightEmbedding.when('vector_index', {
+    is: 'primary',
+    then: Joi.forbidden(),
+    otherwise: Joi.required()
+  }),
+  rescore_limit: Joi.number().integer().min(1).max(1000).when('vector_index', {
+    is: 'two_stage',
+    then: Joi.optional(),
+    otherwise: Joi.forbidden()
+  }),
+  // Multi-vector search: combined score from weighted per-vector similarities,
+  // with query feature_vectors for the weighted feature vectors
+  vector_weights: vectorWeightsSchema.when('vector_index', {
+    is: 'lightweight',
+    then: Joi.forbidden(),
+    otherwise: Joi.optional()
+  }),
+  feature_vectors: featureVectorsSchema.optional(),
   user_id: Joi.string().uuid().optional(),
   content_type: Joi.array().items(Joi.string()).optional(),
   tags: Joi.array().items(Joi.string()).optional(),
   limit: Joi.number().integer().min(1).max(100).default(10),
   similarity_threshold: Joi.number().min(0).max(1).default(0.7),
   boost_recent: Joi.boolean().default(false),
-  boost_preferences: Joi.boolean().default(false)
+  boost_preferences: Joi.boolean().default(false),
+  // Named re-ranking profile from config/rankingProfiles.js; overrides the boost flags
+  ranking_profile: rankingProfileSchema.optional(),
+  ranking_context: Joi.object({
+    tags: Joi.array().items(Joi.string()).optional(),
+    emotions: Joi.object().pattern(Joi.string(), Joi.number().min(0).max(1)).optional()
+  }).optional(),
+  // Hybrid mode fuses vector similarity with BM25 keyword matches on query_text
+  mode: Joi.string().valid('vector', 'hybrid').default('vector'),
+  query_text: Joi.string().max(1000).when('mode', {
+    is: 'hybrid',
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  }),
+  hybrid_weight: Joi.number().min(0).max(1).default(0.5),
+  rrf_k: Joi.number().integer().min(1).max(1000).default(60),
+  // MMR re-ranking: lambda 1 = pure relevance, 0 = maximum diversity
+  diversify: diversifySchema.optional(),
+  // Attach a per-result score breakdown ($explanation)
+  explain: Joi.boolean().default(false),
+  // Return whole sessions ranked by their best hit instead of single entries
+  group_by: Joi.string().valid('session').optional(),
+  ...timeFilterFields,
+  ...emotionFields,
+  ...entityFilterFields,
+  ...fieldSelectionFields,
+  ...searchPaginationFields
+}).or('embedding', 'query_text', 'lightweight_embedding').oxor('offset', 'cursor').messages({
+  'object.missing': 'Either embedding or query_text must be provided',
+  'object.oxor': 'Use either offset or cursor, not both'
+});
+
+// "More like this" query string validation; repeated or single values become arrays
+const similarEntriesQuerySchema = Joi.object({
+  user_id: Joi.string().uuid().optional(),
+  content_type: Joi.array().items(Joi.string()).single().optional(),
+  tags: Joi.array().items(Joi.string()).single().optional(),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  similarity_threshold: Joi.number().min(0).max(1).default(0.7),
+  boost_recent: Joi.boolean().default(false),
+  boost_preferences: Joi.boolean().default(false),
+  ranking_profile: rankingProfileSchema.optional(),
+  exclude_same_session: Joi.boolean().default(false),
+  vector_index: Joi.string().valid('primary', 'lightweight', 'two_stage').default('primary'),
+  rescore_limit: Joi.number().integer().min(1).max(1000).optional(),
+  diversify_lambda: Joi.number().min(0).max(1).optional(),
+  diversify_field: Joi.string().valid('session_id', 'content_type').optional(),
+  explain: Joi.boolean().default(false),
+  group_by: Joi.string().valid('session').optional(),
+  ...timeFilterFields,
+  ...emotionFields,
+  ...entityFilterFields,
+  ...fieldSelectionFields,
+  ...searchPaginationFields
+}).oxor('offset', 'cursor').messages({
+  'object.oxor': 'Use either offset or cursor, not both'
+});
+
+// Listing pagination: next_cursor from the previous page, or a page number
+// for older clients; the total count is optional since it costs a query
+const listingPaginationFields = {
+  cursor: Joi.string().max(1024).optional(),
+  sort_by: Joi.string().valid(...LISTING_SORT_FIELDS).default('created_at'),
+  sort_order: Joi.string().valid('asc', 'desc').default('desc')
+};
+
+// User entry listing query string validation
+const userEntriesQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).when('cursor', {
+    is: Joi.exist(),
+    then: Joi.forbidden(),
+    otherwise: Joi.number().default(1)
+  }),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  content_type: Joi.string().optional(),
+  include_total: Joi.boolean().default(true),
+  ...listingPaginationFields,
+  ...fieldSelectionFields,
+  ...timeFilterFields,
+  ...entityFilterFields
+});
+
+// Session message listing query string validation
+const sessionEntriesQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  user_id: Joi.string().uuid().optional(),
+  message_type: Joi.string().optional(),
+  ...fieldSelectionFields
+});
+
+// Single entry read query string validation
+const entryReadQuerySchema = Joi.object({
+  ...fieldSelectionFields
+});
+
+// Entity graph query string validation
+const entityGraphQuerySchema = Joi.object({
+  content_type: Joi.array().items(Joi.string()).single().optional(),
+  kinds: Joi.array().items(Joi.string().valid(...ENTITY_KINDS)).single().optional(),
+  min_weight: Joi.number().integer().min(1).default(1),
+  max_nodes: Joi.number().integer().min(1).max(1000).default(200),
+  ...timeFilterFields
+});
+
+// Entity alias registry validation; backfill rewrites existing entries
+const entityAliasSchema = Joi.object({
+  kind: Joi.string().valid(...ENTITY_KINDS).required(),
+  alias: Joi.string().trim().min(1).max(200).required(),
+  canonical: Joi.string().trim().min(1).max(200).required(),
+  backfill: Joi.boolean().default(true)
+});
+
+const entityAliasUpdateSchema = Joi.object({
+  canonical: Joi.string().trim().min(1).max(200).required(),
+  backfill: Joi.boolean().default(true)
+});
+
+const entityMergeSchema = Joi.object({
+  from: Joi.array().items(Joi.string().trim().min(1).max(200)).min(1).max(50).required(),
+  into: Joi.string().trim().min(1).max(200).required(),
+  backfill: Joi.boolean().default(true)
+});
+
+const entityAliasQuerySchema = Joi.object({
+  kind: Joi.string().valid(...ENTITY_KINDS).optional()
+});
+
+// Content type listing query string validation
+const typeEntriesQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(1000).default(50),
+  user_id: Joi.string().uuid().optional(),
+  include_total: Joi.boolean().default(false),
+  ...listingPaginationFields,
+  ...fieldSelectionFields,
+  ...timeFilterFields
 });
 
 // ID validation
@@ -254,27 +546,67 @@ const paramsIdSchema = Joi.object({
   id: Joi.string().uuid().required()
 });
 
+// Params validation for routes keyed by entry_id
+const paramsEntryIdSchema = Joi.object({
+  entryId: Joi.string().uuid().required()
+});
+
 // Params validation for routes with userId
 const paramsUserIdSchema = Joi.object({
   userId: Joi.string().uuid().required()
 });
 
+// Params validation for routes with sessionId
+const paramsSessionIdSchema = Joi.object({
+  sessionId: Joi.string().uuid().required()
+});
+
+// Params validation for routes with userId and aliasId
+const paramsAliasSchema = Joi.object({
+  userId: Joi.string().uuid().required(),
+  aliasId: Joi.string().uuid().required()
+});
+
+// Params validation for entity merges
+const paramsEntityKindSchema = Joi.object({
+  userId: Joi.string().uuid().required(),
+  kind: Joi.string().valid(...ENTITY_KINDS).required()
+});
+
+// Params validation for linked entity lookups
+const paramsEntitySchema = Joi.object({
+  userId: Joi.string().uuid().required(),
+  kind: Joi.string().valid(...ENTITY_KINDS).required(),
+  name: Joi.string().max(200).required()
+});
+
+// Validate a single value, returning the normalized value or error details
+const validateValue = (schema, data) => {
+  const { error, value } = schema.validate(data, {
+    abortEarly: false,
+    allowUnknown: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const details = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      value: detail.context?.value
+    }));
+
+    return { details };
+  }
+
+  return { value };
+};
+
 // Validation middleware factory
 const validate = (schema, property = 'body') => {
   return (req, res, next) => {
-    const { error, value } = schema.validate(req[property], {
-      abortEarly: false,
-      allowUnknown: false,
-      stripUnknown: true
-    });
-
-    if (error) {
-      const details = error.details.map(detail => ({
-        field: detail.path.join('.'),
-        message: detail.message,
-        value: detail.context?.value
-      }));
+    const { value, details } = validateValue(schema, req[property]);
 
+    if (details) {
       return res.status(400).json({
         success: false,
         error: 'Validation failed',
@@ -290,13 +622,29 @@ const validate = (schema, property = 'body') => {
 
 module.exports = {
   validate,
+  validateValue,
   schemas: {
     createSemanticSearch: createSemanticSearchSchema,
     updateSemanticSearch: updateSemanticSearchSchema,
     partialUpdateSemanticSearch: partialUpdateSemanticSearchSchema,
     searchQuery: searchQuerySchema,
+    similarEntriesQuery: similarEntriesQuerySchema,
+    userEntriesQuery: userEntriesQuerySchema,
+    typeEntriesQuery: typeEntriesQuerySchema,
+    sessionEntriesQuery: sessionEntriesQuerySchema,
+    entryReadQuery: entryReadQuerySchema,
+    entityGraphQuery: entityGraphQuerySchema,
+    entityAlias: entityAliasSchema,
+    entityAliasUpdate: entityAliasUpdateSchema,
+    entityAliasQuery: entityAliasQuerySchema,
+    entityMerge: entityMergeSchema,
     id: idSchema,
     paramsId: paramsIdSchema,
-    paramsUserId: paramsUserIdSchema
+    paramsEntryId: paramsEntryIdSchema,
+    paramsUserId: paramsUserIdSchema,
+    paramsEntity: paramsEntitySchema,
+    paramsEntityKind: paramsEntityKindSchema,
+    paramsAlias: paramsAliasSchema,
+    paramsSessionId: paramsSessionIdSchema
   }
 };
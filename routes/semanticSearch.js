@@ -1,16 +1,62 @@
 const express = require('express');
 const router = express.Router();
 const semanticSearchService = require('../services/semanticSearchService');
-const { validate, schemas } = require('../middleware/validation');
+const entityAliasService = require('../services/entityAliasService');
+const { validate, validateValue, schemas } = require('../middleware/validation');
+const { idempotency } = require('../middleware/idempotency');
+const { authenticate } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+// Upper bound on items accepted by a single bulk request
+const BULK_MAX_ITEMS = parseInt(process.env.BULK_MAX_ITEMS) || 1000;
+
+// NDJSON bodies arrive as text and are split into items by parseBulkBody
+const ndjsonParser = express.text({
+  type: ['application/x-ndjson', 'application/ndjson'],
+  limit: process.env.MAX_REQUEST_SIZE || '10mb'
+});
+
+// Every route needs an API key or bearer token; services then keep user
+// credentials to their own entries
+router.use(authenticate());
+
+// Per-caller request budgets for searches, writes and reads
+router.use(rateLimit());
+
+/**
+ * Turn a bulk request body (JSON array or NDJSON) into a list of items.
+ * Unparseable NDJSON lines become `{ parseError }` items.
+ */
+const parseBulkBody = (body) => {
+  if (Array.isArray(body)) {
+    return body;
+  }
+
+  if (typeof body === 'string') {
+    return body
+      .split(/\r?\n/)
+      .map((line, index) => ({ line: line.trim(), lineNumber: index + 1 }))
+      .filter(({ line }) => line.length > 0)
+      .map(({ line, lineNumber }) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return { parseError: `Invalid JSON on line ${lineNumber}: ${error.message}` };
+        }
+      });
+  }
+
+  return null;
+};
 
 /**
  * @route   POST /api/semantic-search/entries
  * @desc    Create a new semantic search entry
- * @access  Public
+ * @access  Private
  */
-router.post('/entries', validate(schemas.createSemanticSearch), async (req, res, next) => {
+router.post('/entries', idempotency(), validate(schemas.createSemanticSearch), async (req, res, next) => {
   try {
-    const result = await semanticSearchService.createEntry(req.body);
+    const result = await semanticSearchService.createEntry(req.body, req.auth);
     
     res.status(201).json({
       success: true,
@@ -23,14 +69,121 @@ router.post('/entries', validate(schemas.createSemanticSearch), async (req, res,
   }
 });
 
+/**
+ * @route   POST /api/semantic-search/entries/bulk
+ * @desc    Create many entries from a JSON array or NDJSON stream, with per-item results
+ * @access  Private
+ */
+router.post('/entries/bulk', ndjsonParser, idempotency(), async (req, res, next) => {
+  try {
+    const items = parseBulkBody(req.body);
+
+    if (!items || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Request body must be a non-empty JSON array or NDJSON stream of entries',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (items.length > BULK_MAX_ITEMS) {
+      return res.status(413).json({
+        success: false,
+        error: `Bulk requests are limited to ${BULK_MAX_ITEMS} entries`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Validate every item with the create schema; only valid ones are written
+    const results = new Array(items.length);
+    const validEntries = [];
+    const validIndexes = [];
+
+    items.forEach((item, index) => {
+      if (item && item.parseError) {
+        results[index] = { index, success: false, error: item.parseError };
+        return;
+      }
+
+      const { value, details } = validateValue(schemas.createSemanticSearch, item);
+
+      if (details) {
+        results[index] = { index, success: false, error: 'Validation failed', details };
+        return;
+      }
+
+      validEntries.push(value);
+      validIndexes.push(index);
+    });
+
+    if (validEntries.length > 0) {
+      const created = await semanticSearchService.createEntries(validEntries, req.auth);
+      created.data.forEach((result, i) => {
+        results[validIndexes[i]] = { index: validIndexes[i], ...result };
+      });
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+    const failed = results.length - succeeded;
+
+    res.status(failed === 0 ? 201 : 207).json({
+      success: failed === 0,
+      message: `Created ${succeeded} of ${results.length} semantic search entries`,
+      data: {
+        total: results.length,
+        succeeded,
+        failed,
+        results
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/semantic-search/entries/by-entry/:entryId
+ * @desc    Create or replace the entry for user_id + entryId (idempotent upsert)
+ * @access  Private
+ */
+router.put('/entries/by-entry/:entryId',
+  validate(schemas.paramsEntryId, 'params'),
+  validate(schemas.createSemanticSearch),
+  async (req, res, next) => {
+    try {
+      if (req.body.entry_id !== req.params.entryId) {
+        return res.status(400).json({
+          success: false,
+          error: 'entry_id in the body must match the entryId path parameter',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const result = await semanticSearchService.upsertEntry(req.body, req.auth);
+
+      res.status(result.created ? 201 : 200).json({
+        success: true,
+        message: result.created
+          ? 'Semantic search entry created successfully'
+          : 'Semantic search entry replaced successfully',
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * @route   GET /api/semantic-search/entries/:id
  * @desc    Get semantic search entry by ID
- * @access  Public
+ * @access  Private
  */
-router.get('/entries/:id', validate(schemas.paramsId, 'params'), async (req, res, next) => {
+router.get('/entries/:id', validate(schemas.paramsId, 'params'), validate(schemas.entryReadQuery, 'query'), async (req, res, next) => {
   try {
-    const result = await semanticSearchService.getEntryById(req.params.id);
+    const result = await semanticSearchService.getEntryById(req.params.id, req.query, req.auth);
     
     if (!result.success) {
       return res.status(404).json({
@@ -50,17 +203,48 @@ router.get('/entries/:id', validate(schemas.paramsId, 'params'), async (req, res
   }
 });
 
+/**
+ * @route   GET /api/semantic-search/entries/:id/similar
+ * @desc    Find entries similar to an existing entry using its stored embedding
+ * @access  Private
+ */
+router.get('/entries/:id/similar',
+  validate(schemas.paramsId, 'params'),
+  validate(schemas.similarEntriesQuery, 'query'),
+  async (req, res, next) => {
+    try {
+      const result = await semanticSearchService.findSimilarEntries(req.params.id, req.query, req.auth);
+
+      if (!result.success) {
+        return res.status(404).json({
+          success: false,
+          error: result.error,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * @route   PUT /api/semantic-search/entries/:id
  * @desc    Update semantic search entry (complete replacement)
- * @access  Public
+ * @access  Private
  */
 router.put('/entries/:id', 
   validate(schemas.paramsId, 'params'),
   validate(schemas.updateSemanticSearch),
   async (req, res, next) => {
     try {
-      const result = await semanticSearchService.updateEntry(req.params.id, req.body);
+      const result = await semanticSearchService.updateEntry(req.params.id, req.body, req.auth);
       
       if (!result.success) {
         return res.status(404).json({
@@ -84,18 +268,28 @@ router.put('/entries/:id',
 
 /**
  * @route   PATCH /api/semantic-search/entries/:id
- * @desc    Partially update semantic search entry
- * @access  Public
+ * @desc    Partially update semantic search entry (deep merge + array operations)
+ * @access  Private
  */
 router.patch('/entries/:id', 
   validate(schemas.paramsId, 'params'),
   validate(schemas.partialUpdateSemanticSearch),
   async (req, res, next) => {
     try {
-      // For now, return not implemented since we only have complete replacement
-      return res.status(501).json({
-        success: false,
-        error: 'Partial updates (PATCH) not implemented. Use PUT for complete replacement.',
+      const result = await semanticSearchService.patchEntry(req.params.id, req.body, req.auth);
+
+      if (!result.success) {
+        return res.status(result.status || 404).json({
+          success: false,
+          error: result.error,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Semantic search entry updated successfully',
+        data: result.data,
         timestamp: new Date().toISOString()
       });
     } catch (error) {
@@ -107,11 +301,11 @@ router.patch('/entries/:id',
 /**
  * @route   DELETE /api/semantic-search/entries/:id
  * @desc    Delete semantic search entry
- * @access  Public
+ * @access  Private
  */
 router.delete('/entries/:id', validate(schemas.paramsId, 'params'), async (req, res, next) => {
   try {
-    const result = await semanticSearchService.deleteEntry(req.params.id);
+    const result = await semanticSearchService.deleteEntry(req.params.id, req.auth);
     
     if (!result.success) {
       return res.status(404).json({
@@ -134,11 +328,11 @@ router.delete('/entries/:id', validate(schemas.paramsId, 'params'), async (req,
 /**
  * @route   POST /api/semantic-search/search
  * @desc    Search entries by vector similarity
- * @access  Public
+ * @access  Private
  */
 router.post('/search', validate(schemas.searchQuery), async (req, res, next) => {
   try {
-    const result = await semanticSearchService.searchSimilar(req.body);
+    const result = await semanticSearchService.searchSimilar(req.body, req.auth);
     
     res.json({
       success: true,
@@ -153,23 +347,269 @@ router.post('/search', validate(schemas.searchQuery), async (req, res, next) =>
 /**
  * @route   GET /api/semantic-search/users/:userId/entries
  * @desc    Get all entries for a specific user
- * @access  Public
+ * @access  Private
  */
-router.get('/users/:userId/entries', validate(schemas.paramsUserId, 'params'), async (req, res, next) => {
+router.get('/users/:userId/entries',
+  validate(schemas.paramsUserId, 'params'),
+  validate(schemas.userEntriesQuery, 'query'),
+  async (req, res, next) => {
+    try {
+      const result = await semanticSearchService.getUserEntries(req.params.userId, req.query, req.auth);
+      
+      res.json({
+        success: true,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/semantic-search/users/:userId/entities/:kind/:name/entries
+ * @desc    Get a user's entries linked to an entity (e.g. people/Alex)
+ * @access  Private
+ */
+router.get('/users/:userId/entities/:kind/:name/entries',
+  validate(schemas.paramsEntity, 'params'),
+  validate(schemas.userEntriesQuery, 'query'),
+  async (req, res, next) => {
+    try {
+      const { userId, kind, name } = req.params;
+      const requiredEntities = req.query.required_entities || {};
+      const result = await semanticSearchService.getUserEntries(userId, {
+        ...req.query,
+        required_entities: { ...requiredEntities, [kind]: [...(requiredEntities[kind] || []), name] }
+      }, req.auth);
+
+      res.json({
+        success: true,
+        data: {
+          entity: { kind, name },
+          ...result.data
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/semantic-search/users/:userId/entity-graph
+ * @desc    Get the co-occurrence graph of a user's linked entities
+ * @access  Private
+ */
+router.get('/users/:userId/entity-graph',
+  validate(schemas.paramsUserId, 'params'),
+  validate(schemas.entityGraphQuery, 'query'),
+  async (req, res, next) => {
+    try {
+      const result = await semanticSearchService.getEntityGraph(req.params.userId, req.query, req.auth);
+
+      res.json({
+        success: true,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/semantic-search/users/:userId/lightweight-index/rebuild
+ * @desc    Index a user's existing lightweight embeddings for lightweight / two-stage search
+ * @access  Private
+ */
+router.post('/users/:userId/lightweight-index/rebuild',
+  validate(schemas.paramsUserId, 'params'),
+  async (req, res, next) => {
+    try {
+      const result = await semanticSearchService.rebuildLightweightIndex(req.params.userId, req.auth);
+
+      res.json({
+        success: true,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/semantic-search/users/:userId/usage
+ * @desc    Get a user's stored entries and bytes against their storage quota
+ * @access  Private
+ */
+router.get('/users/:userId/usage',
+  validate(schemas.paramsUserId, 'params'),
+  async (req, res, next) => {
+    try {
+      const result = await semanticSearchService.getUsage(req.params.userId, req.auth);
+
+      res.json({
+        success: true,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/semantic-search/sessions/:sessionId/entries
+ * @desc    Get a session's messages in chronological order
+ * @access  Private
+ */
+router.get('/sessions/:sessionId/entries',
+  validate(schemas.paramsSessionId, 'params'),
+  validate(schemas.sessionEntriesQuery, 'query'),
+  async (req, res, next) => {
+    try {
+      const result = await semanticSearchService.getSessionEntries(req.params.sessionId, req.query, req.auth);
+
+      res.json({
+        success: true,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Rewrite the user's entries through the alias registry unless the request
+ * opted out with `backfill: false`. The alias change is already stored, so a
+ * failed backfill is reported under `backfill` rather than failing the request.
+ */
+const backfillIfRequested = async (userId, backfill, auth) => {
+  if (!backfill) {
+    return undefined;
+  }
+
   try {
-    const options = {
-      page: parseInt(req.query.page) || 1,
-      limit: parseInt(req.query.limit) || 10,
-      content_type: req.query.content_type,
-      sort_by: req.query.sort_by || 'created_at',
-      sort_order: req.query.sort_order || 'desc'
-    };
-
-    const result = await semanticSearchService.getUserEntries(req.params.userId, options);
-    
+    const result = await semanticSearchService.backfillEntityAliases(userId, auth);
+    return { status: 'completed', ...result.data };
+  } catch (error) {
+    console.error('Error backfilling entity aliases:', error);
+    return { status: 'failed', error: error.message };
+  }
+};
+
+/**
+ * @route   GET /api/semantic-search/users/:userId/entity-aliases
+ * @desc    List a user's entity aliases
+ * @access  Private
+ */
+router.get('/users/:userId/entity-aliases',
+  validate(schemas.paramsUserId, 'params'),
+  validate(schemas.entityAliasQuery, 'query'),
+  async (req, res, next) => {
+    try {
+      const result = await entityAliasService.listAliases(req.params.userId, req.query, req.auth);
+
+      res.json({
+        success: true,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/semantic-search/users/:userId/entity-aliases
+ * @desc    Register an alias for an entity and normalize existing entries
+ * @access  Private
+ */
+router.post('/users/:userId/entity-aliases',
+  validate(schemas.paramsUserId, 'params'),
+  validate(schemas.entityAlias),
+  async (req, res, next) => {
+    try {
+      const { backfill, ...alias } = req.body;
+      const result = await entityAliasService.createAlias(req.params.userId, alias, req.auth);
+
+      res.status(201).json({
+        success: true,
+        message: 'Entity alias created successfully',
+        data: result.data,
+        backfill: await backfillIfRequested(req.params.userId, backfill, req.auth),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/semantic-search/users/:userId/entity-aliases/:aliasId
+ * @desc    Point an alias at a different canonical name
+ * @access  Private
+ */
+router.put('/users/:userId/entity-aliases/:aliasId',
+  validate(schemas.paramsAlias, 'params'),
+  validate(schemas.entityAliasUpdate),
+  async (req, res, next) => {
+    try {
+      const { userId, aliasId } = req.params;
+      const result = await entityAliasService.updateAlias(userId, aliasId, req.body, req.auth);
+
+      if (!result.success) {
+        return res.status(404).json({
+          success: false,
+          error: result.error,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Entity alias updated successfully',
+        data: result.data,
+        backfill: await backfillIfRequested(userId, req.body.backfill, req.auth),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/semantic-search/users/:userId/entity-aliases/:aliasId
+ * @desc    Remove an entity alias
+ * @access  Private
+ */
+router.delete('/users/:userId/entity-aliases/:aliasId', validate(schemas.paramsAlias, 'params'), async (req, res, next) => {
+  try {
+    const result = await entityAliasService.deleteAlias(req.params.userId, req.params.aliasId, req.auth);
+
+    if (!result.success) {
+      return res.status(404).json({
+        success: false,
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
     res.json({
       success: true,
-      data: result.data,
+      message: result.message,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -177,12 +617,39 @@ router.get('/users/:userId/entries', validate(schemas.paramsUserId, 'params'), a
   }
 });
 
+/**
+ * @route   POST /api/semantic-search/users/:userId/entities/:kind/merge
+ * @desc    Merge entities into one canonical name and normalize existing entries
+ * @access  Private
+ */
+router.post('/users/:userId/entities/:kind/merge',
+  validate(schemas.paramsEntityKind, 'params'),
+  validate(schemas.entityMerge),
+  async (req, res, next) => {
+    try {
+      const { userId, kind } = req.params;
+      const { from, into, backfill } = req.body;
+      const result = await entityAliasService.mergeEntities(userId, kind, from, into, req.auth);
+
+      res.json({
+        success: true,
+        message: 'Entities merged successfully',
+        data: result.data,
+        backfill: await backfillIfRequested(userId, backfill, req.auth),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * @route   GET /api/semantic-search/content-types/:type/entries
  * @desc    Get entries by content type
- * @access  Public
+ * @access  Private
  */
-router.get('/content-types/:type/entries', async (req, res, next) => {
+router.get('/content-types/:type/entries', validate(schemas.typeEntriesQuery, 'query'), async (req, res, next) => {
   try {
     const { type } = req.params;
     
@@ -196,12 +663,7 @@ router.get('/content-types/:type/entries', async (req, res, next) => {
       });
     }
 
-    const options = {
-      limit: parseInt(req.query.limit) || 50,
-      user_id: req.query.user_id
-    };
-
-    const result = await semanticSearchService.getEntriesByType(type, options);
+    const result = await semanticSearchService.getEntriesByType(type, req.query, req.auth);
     
     res.json({
       success: true,
@@ -216,11 +678,11 @@ router.get('/content-types/:type/entries', async (req, res, next) => {
 /**
  * @route   GET /api/semantic-search/stats
  * @desc    Get service statistics
- * @access  Public
+ * @access  Admin
  */
 router.get('/stats', async (req, res, next) => {
   try {
-    const result = await semanticSearchService.getStats();
+    const result = await semanticSearchService.getStats(req.auth);
     
     res.json({
       success: true,
@@ -235,12 +697,11 @@ router.get('/stats', async (req, res, next) => {
 /**
  * @route   GET /api/semantic-search/health
  * @desc    Health check for semantic search service
- * @access  Public
+ * @access  Private
  */
 router.get('/health', async (req, res, next) => {
   try {
-    const astraClient = require('../config/astradb');
-    const healthStatus = await astraClient.healthCheck();
+    const healthStatus = await semanticSearchService.healthCheck();
     
     const status = healthStatus.status === 'healthy' ? 200 : 503;
     
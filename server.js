@@ -1,10 +1,14 @@
+// Load .env before anything else: modules read their configuration from
+// process.env when they are first required
+require('dotenv').config();
+
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const semanticSearchRoutes = require('./routes/semanticSearch');
+const semanticSearchService = require('./services/semanticSearchService');
 const errorHandler = require('./middleware/errorHandler');
-require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -44,10 +48,21 @@ app.use('*', (req, res) => {
 // Error handling middleware
 app.use(errorHandler);
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`SementicSearchDB service running on port ${PORT}`);
-  console.log(`Health check available at http://localhost:${PORT}/health`);
-});
+// Start server (skipped when the app is required by tests). Storage is
+// initialized first so a collection that doesn't match the embedding schema
+// stops the service instead of failing on the first write.
+if (require.main === module) {
+  semanticSearchService.initialize()
+    .then(() => {
+      app.listen(PORT, () => {
+        console.log(`SementicSearchDB service running on port ${PORT}`);
+        console.log(`Health check available at http://localhost:${PORT}/health`);
+      });
+    })
+    .catch(error => {
+      console.error('❌ Failed to start SementicSearchDB:', error.message);
+      process.exit(1);
+    });
+}
 
 module.exports = app;
@@ -0,0 +1,64 @@
+const ServiceError = require('./serviceError');
+const ScopedStore = require('../storage/scopedStore');
+
+/**
+ * Authorization rules for the caller principal set by middleware/auth.js
+ * (`req.auth`), which is also the tenant context: admins may act on every
+ * user's entries, user principals only on their own.
+ */
+const isAdmin = (auth) => {
+  if (!auth) {
+    // A caller that skipped the principal is a bug, not an anonymous request
+    throw new Error('Service call is missing the caller principal');
+  }
+  return auth.role === 'admin';
+};
+
+const canAccessUser = (auth, userId) => isAdmin(auth) || auth.user_id === userId;
+
+/**
+ * Reject a user principal acting on another user's data
+ */
+function assertUserAccess(auth, userId) {
+  if (!canAccessUser(auth, userId)) {
+    throw new ServiceError('This credential can only access its own entries', 403);
+  }
+}
+
+function assertAdmin(auth) {
+  if (!isAdmin(auth)) {
+    throw new ServiceError('This operation requires an admin credential', 403);
+  }
+}
+
+/**
+ * Restrict a storage filter to the principal's entries. A filter already
+ * naming another user is rejected rather than silently emptied.
+ */
+function scopeFilter(auth, filter) {
+  if (isAdmin(auth)) {
+    return filter;
+  }
+  if (filter.user_id !== undefined) {
+    assertUserAccess(auth, filter.user_id);
+  }
+  return { ...filter, user_id: auth.user_id };
+}
+
+/**
+ * The storage adapter as seen by a principal: admins get the collection
+ * itself (the explicit bypass), user principals a store confined to their
+ * user_id, so every query and write is scoped whatever the caller filters on
+ */
+function storeFor(store, auth) {
+  return isAdmin(auth) ? store : new ScopedStore(store, 'user_id', auth.user_id);
+}
+
+module.exports = {
+  isAdmin,
+  canAccessUser,
+  assertUserAccess,
+  assertAdmin,
+  scopeFilter,
+  storeFor
+};
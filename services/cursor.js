@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const ServiceError = require('./serviceError');
+
+/**
+ * Opaque pagination cursors: base64url-encoded JSON that clients pass back
+ * unchanged. Cursors carry a fingerprint of the query they were issued for,
+ * so a cursor can't silently be reused with different parameters.
+ */
+function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (payload === null || typeof payload !== 'object') {
+      throw new Error('Cursor payload must be an object');
+    }
+    return payload;
+  } catch (error) {
+    throw new ServiceError('Invalid pagination cursor');
+  }
+}
+
+// Fields listings may sort on: always present on entries and cheap to
+// compare. Ties are broken on _id so keyset pages are stable.
+const LISTING_SORT_FIELDS = ['created_at', 'updated_at', 'title', 'content_type'];
+
+/**
+ * Restrict `filter` to documents after a keyset `position` ({ value, id },
+ * the sort value and _id of the previous page's last document)
+ */
+function keysetFilter(filter, sortField, direction, position) {
+  const op = direction < 0 ? '$lt' : '$gt';
+
+  return {
+    ...filter,
+    $and: [
+      ...(filter.$and || []),
+      {
+        $or: [
+          { [sortField]: { [op]: position.value } },
+          { [sortField]: position.value, _id: { [op]: position.id } }
+        ]
+      }
+    ]
+  };
+}
+
+/**
+ * Stable hash of the query parameters, ignoring the pagination fields
+ */
+function fingerprintQuery(query, ignoredFields = []) {
+  const relevant = Object.keys(query)
+    .filter(key => !ignoredFields.includes(key) && query[key] !== undefined)
+    .sort()
+    .reduce((acc, key) => {
+      acc[key] = query[key];
+      return acc;
+    }, {});
+
+  return crypto.createHash('sha256').update(JSON.stringify(relevant)).digest('base64url').slice(0, 16);
+}
+
+module.exports = {
+  LISTING_SORT_FIELDS,
+  encodeCursor,
+  decodeCursor,
+  keysetFilter,
+  fingerprintQuery
+};
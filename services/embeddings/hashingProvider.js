@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const { tokenize } = require('../search/lexical');
+
+/**
+ * Deterministic, offline embedding provider based on feature hashing.
+ *
+ * Unigrams and bigrams are hashed into a fixed number of signed buckets and
+ * the result is L2-normalized, so texts sharing words have high cosine
+ * similarity. It captures no semantics beyond word overlap; use it for local
+ * development and tests, not production ranking.
+ */
+class HashingEmbeddingProvider {
+  constructor(options = {}) {
+    this.dimension = options.dimension;
+    this.modelName = `hashing-v1-${this.dimension}`;
+  }
+
+  embedOne(text) {
+    const vector = new Array(this.dimension).fill(0);
+    const tokens = tokenize(text);
+    const features = [
+      ...tokens,
+      ...tokens.slice(1).map((token, i) => `${tokens[i]} ${token}`)
+    ];
+
+    features.forEach(feature => {
+      const digest = crypto.createHash('sha1').update(feature).digest();
+      const bucket = digest.readUInt32BE(0) % this.dimension;
+      const sign = digest[4] & 1 ? 1 : -1;
+      vector[bucket] += sign;
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+
+    return norm === 0 ? vector : vector.map(value => value / norm);
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedOne(text));
+  }
+}
+
+module.exports = HashingEmbeddingProvider;
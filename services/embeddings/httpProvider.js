@@ -0,0 +1,54 @@
+/**
+ * Embedding provider that calls an HTTP embeddings API.
+ *
+ * Sends `{ model, input: [texts] }` and accepts either an OpenAI-style
+ * `{ data: [{ embedding }] }` or a plain `{ embeddings: [[...]] }` response.
+ */
+class HttpEmbeddingProvider {
+  constructor(options = {}) {
+    this.url = options.url;
+    this.apiKey = options.apiKey;
+    this.modelName = options.model;
+    this.dimension = options.dimension;
+    this.timeoutMs = options.timeoutMs || 10000;
+
+    if (!this.url || !this.modelName) {
+      throw new Error('HTTP embedding provider requires EMBEDDING_API_URL and EMBEDDING_MODEL');
+    }
+  }
+
+  async embed(texts) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+      },
+      body: JSON.stringify({ model: this.modelName, input: texts }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Embedding API responded with ${response.status}`);
+    }
+
+    const body = await response.json();
+    const embeddings = Array.isArray(body.data)
+      ? body.data.map(item => item.embedding)
+      : body.embeddings;
+
+    if (!Array.isArray(embeddings) || embeddings.length !== texts.length) {
+      throw new Error('Embedding API returned an unexpected response shape');
+    }
+
+    embeddings.forEach(embedding => {
+      if (!Array.isArray(embedding) || embedding.length !== this.dimension) {
+        throw new Error(`Embedding API returned vectors of the wrong size; expected ${this.dimension} dimensions`);
+      }
+    });
+
+    return embeddings;
+  }
+}
+
+module.exports = HttpEmbeddingProvider;
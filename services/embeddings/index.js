@@ -0,0 +1,38 @@
+const HashingEmbeddingProvider = require('./hashingProvider');
+const HttpEmbeddingProvider = require('./httpProvider');
+const { primaryEmbedding } = require('../../config/embeddingSchema');
+
+/**
+ * Create the embedding provider named by EMBEDDING_PROVIDER, or null when
+ * none is configured (clients must then send their own embeddings).
+ *
+ * Every provider exposes `modelName`, `dimension` and
+ * `embed(texts) -> Promise<number[][]>`.
+ */
+function createEmbeddingProvider() {
+  const name = (process.env.EMBEDDING_PROVIDER || '').toLowerCase();
+
+  switch (name) {
+    case '':
+    case 'none':
+      return null;
+    case 'hashing':
+      return new HashingEmbeddingProvider({ dimension: primaryEmbedding.dimension });
+    case 'http':
+      return new HttpEmbeddingProvider({
+        url: process.env.EMBEDDING_API_URL,
+        apiKey: process.env.EMBEDDING_API_KEY,
+        model: process.env.EMBEDDING_MODEL,
+        dimension: primaryEmbedding.dimension,
+        timeoutMs: parseInt(process.env.EMBEDDING_TIMEOUT_MS) || undefined
+      });
+    default:
+      throw new Error(`Unknown EMBEDDING_PROVIDER "${name}". Expected one of: hashing, http, none`);
+  }
+}
+
+module.exports = {
+  createEmbeddingProvider,
+  HashingEmbeddingProvider,
+  HttpEmbeddingProvider
+};
@@ -0,0 +1,279 @@
+const { getStore } = require('../storage');
+const ServiceError = require('./serviceError');
+const { assertUserAccess, storeFor } = require('./access');
+const { v5: uuidv5 } = require('uuid');
+
+const ALIAS_COLLECTION = 'entity_aliases';
+
+// Namespace for deterministic alias _ids derived from user_id + kind + alias key
+const ALIAS_ID_NAMESPACE = '3c9e5f0a-8b1d-4e7a-a2f6-5d8c4b9e1f07';
+
+/**
+ * Comparison key for entity names: case, surrounding and repeated
+ * whitespace and Unicode compatibility forms don't distinguish aliases
+ */
+const aliasKey = (name) => name.normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Per-user registry mapping alternative entity names ("mom", "Mother") to a
+ * canonical name ("Mom") for one linked_entities kind. Aliases always point
+ * directly at a canonical name; chains are flattened on write.
+ */
+class EntityAliasService {
+  constructor() {
+    this.store = null;
+  }
+
+  async initialize() {
+    if (!this.store) {
+      this.store = getStore(ALIAS_COLLECTION);
+      await this.store.initialize();
+    }
+    return this.store;
+  }
+
+  // Registry storage scoped to the caller principal (services/access.js)
+  async tenantStore(auth) {
+    return storeFor(await this.initialize(), auth);
+  }
+
+  /**
+   * List a user's aliases, optionally for one kind. `auth` is the caller
+   * principal (services/access.js), as in the other registry methods.
+   */
+  async listAliases(userId, options = {}, auth) {
+    try {
+      const store = await this.tenantStore(auth);
+      assertUserAccess(auth, userId);
+
+      const filter = { user_id: userId };
+      if (options.kind) {
+        filter.kind = options.kind;
+      }
+
+      const aliases = await store.find(filter, { sort: { kind: 1, alias_key: 1 } });
+
+      return {
+        success: true,
+        data: { aliases }
+      };
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        throw error;
+      }
+      console.error('Error listing entity aliases:', error);
+      throw new Error(`Failed to list entity aliases: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolver over a user's registry: `resolve(kind, name)` returns the
+   * canonical spelling, and `linkedEntities(linked)` rewrites and
+   * de-duplicates a linked_entities object. Names matching a canonical name
+   * case-insensitively also resolve to its registered spelling.
+   */
+  async getResolver(userId, auth) {
+    const store = await this.tenantStore(auth);
+
+    const aliases = await store.find({ user_id: userId });
+    const lookup = new Map();
+
+    aliases.forEach(({ kind, canonical }) => {
+      lookup.set(`${kind}:${aliasKey(canonical)}`, canonical);
+    });
+    aliases.forEach(({ kind, alias_key, canonical }) => {
+      lookup.set(`${kind}:${alias_key}`, canonical);
+    });
+
+    const resolve = (kind, name) => lookup.get(`${kind}:${aliasKey(name)}`) || name;
+
+    return {
+      resolve,
+      linkedEntities: (linked) => Object.fromEntries(Object.entries(linked).map(([kind, names]) => [
+        kind,
+        Array.isArray(names) ? [...new Set(names.map(name => resolve(kind, name)))] : names
+      ]))
+    };
+  }
+
+  /**
+   * Register `alias` as another name for `canonical`. Aliases that pointed
+   * at `alias` are re-pointed, which merges the two entities.
+   */
+  async createAlias(userId, { kind, alias, canonical }, auth) {
+    try {
+      const store = await this.tenantStore(auth);
+      assertUserAccess(auth, userId);
+
+      const key = aliasKey(alias);
+      const target = (await this.getResolver(userId, auth)).resolve(kind, canonical);
+
+      if (target === alias) {
+        throw new ServiceError(`"${alias}" cannot be an alias of itself`);
+      }
+
+      const now = new Date().toISOString();
+      const document = {
+        _id: uuidv5(`${userId}:${kind}:${key}`, ALIAS_ID_NAMESPACE),
+        user_id: userId,
+        kind,
+        alias,
+        alias_key: key,
+        canonical: target,
+        created_at: now,
+        updated_at: now
+      };
+
+      try {
+        await store.insertOne(document);
+      } catch (error) {
+        if (error.code === 11000 || /already exists/i.test(error.message)) {
+          throw new ServiceError(`Alias "${alias}" already exists for ${kind}`, 409);
+        }
+        throw error;
+      }
+
+      await this.repointAliases(store, userId, kind, key, target);
+
+      return {
+        success: true,
+        data: document
+      };
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        throw error;
+      }
+      console.error('Error creating entity alias:', error);
+      throw new Error(`Failed to create entity alias: ${error.message}`);
+    }
+  }
+
+  /**
+   * Point an existing alias at a different canonical name
+   */
+  async updateAlias(userId, aliasId, { canonical }, auth) {
+    try {
+      const store = await this.tenantStore(auth);
+      assertUserAccess(auth, userId);
+
+      const existing = await store.findOne({ _id: aliasId, user_id: userId });
+
+      if (!existing) {
+        return {
+          success: false,
+          error: 'Entity alias not found'
+        };
+      }
+
+      const target = (await this.getResolver(userId, auth)).resolve(existing.kind, canonical);
+
+      if (target === existing.alias) {
+        throw new ServiceError(`"${existing.alias}" cannot be an alias of itself`);
+      }
+
+      const updated = { ...existing, canonical: target, updated_at: new Date().toISOString() };
+      await store.replaceOne({ _id: aliasId }, updated);
+
+      return {
+        success: true,
+        data: updated
+      };
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        throw error;
+      }
+      console.error('Error updating entity alias:', error);
+      throw new Error(`Failed to update entity alias: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove an alias. Entries already rewritten keep the canonical name.
+   */
+  async deleteAlias(userId, aliasId, auth) {
+    try {
+      const store = await this.tenantStore(auth);
+      assertUserAccess(auth, userId);
+
+      const result = await store.deleteOne({ _id: aliasId, user_id: userId });
+
+      if (result.deletedCount === 0) {
+        return {
+          success: false,
+          error: 'Entity alias not found'
+        };
+      }
+
+      return {
+        success: true,
+        message: 'Entity alias deleted successfully'
+      };
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        throw error;
+      }
+      console.error('Error deleting entity alias:', error);
+      throw new Error(`Failed to delete entity alias: ${error.message}`);
+    }
+  }
+
+  /**
+   * Merge entities: register every name in `names` as an alias of `into`,
+   * re-pointing names that were already aliases of something else
+   */
+  async mergeEntities(userId, kind, names, into, auth) {
+    try {
+      const store = await this.tenantStore(auth);
+      assertUserAccess(auth, userId);
+
+      const aliases = [];
+
+      for (const name of names) {
+        if (name === into) {
+          continue;
+        }
+
+        const existing = await store.findOne({ user_id: userId, kind, alias_key: aliasKey(name) });
+        const result = existing
+          ? await this.updateAlias(userId, existing._id, { canonical: into }, auth)
+          : await this.createAlias(userId, { kind, alias: name, canonical: into }, auth);
+
+        aliases.push(result.data);
+      }
+
+      return {
+        success: true,
+        data: {
+          kind,
+          canonical: (await this.getResolver(userId, auth)).resolve(kind, into),
+          aliases
+        }
+      };
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        throw error;
+      }
+      console.error('Error merging entities:', error);
+      throw new Error(`Failed to merge entities: ${error.message}`);
+    }
+  }
+
+  /**
+   * Re-point aliases whose canonical name is the new alias `key`
+   */
+  async repointAliases(store, userId, kind, key, target) {
+    const aliases = await store.find({ user_id: userId, kind });
+
+    for (const existing of aliases) {
+      if (aliasKey(existing.canonical) === key && existing.canonical !== target) {
+        await store.replaceOne(
+          { _id: existing._id },
+          { ...existing, canonical: target, updated_at: new Date().toISOString() }
+        );
+      }
+    }
+  }
+}
+
+module.exports = new EntityAliasService();
+module.exports.aliasKey = aliasKey;
@@ -0,0 +1,74 @@
+/**
+ * Entity co-occurrence graph built from entries' linked_entities.
+ *
+ * Nodes are `kind:name` pairs with the number of entries mentioning them and
+ * the first/last created_at they were seen; edges join entities linked by the
+ * same entry, weighted by how many entries they share.
+ */
+function buildEntityGraph(entries, options = {}) {
+  const { kinds, min_weight = 1, max_nodes = 200 } = options;
+
+  const nodes = new Map();
+  const edges = new Map();
+
+  entries.forEach(entry => {
+    const linked = entry.linked_entities || {};
+    const ids = new Set();
+
+    Object.entries(linked).forEach(([kind, names]) => {
+      if ((kinds && !kinds.includes(kind)) || !Array.isArray(names)) {
+        return;
+      }
+
+      names.forEach(name => {
+        const id = `${kind}:${name}`;
+        if (ids.has(id)) {
+          return;
+        }
+        ids.add(id);
+
+        const node = nodes.get(id) || { id, kind, name, mentions: 0, first_seen: null, last_seen: null };
+        node.mentions += 1;
+        if (entry.created_at && (!node.first_seen || entry.created_at < node.first_seen)) {
+          node.first_seen = entry.created_at;
+        }
+        if (entry.created_at && (!node.last_seen || entry.created_at > node.last_seen)) {
+          node.last_seen = entry.created_at;
+        }
+        nodes.set(id, node);
+      });
+    });
+
+    const sorted = [...ids].sort();
+    sorted.forEach((source, i) => {
+      sorted.slice(i + 1).forEach(target => {
+        const key = `${source}\u0000${target}`;
+        edges.set(key, (edges.get(key) || 0) + 1);
+      });
+    });
+  });
+
+  // Keep the most mentioned entities, then the edges between them
+  const keptNodes = [...nodes.values()]
+    .sort((a, b) => b.mentions - a.mentions || a.id.localeCompare(b.id))
+    .slice(0, max_nodes);
+  const kept = new Set(keptNodes.map(node => node.id));
+
+  const keptEdges = [...edges.entries()]
+    .map(([key, weight]) => {
+      const [source, target] = key.split('\u0000');
+      return { source, target, weight };
+    })
+    .filter(edge => edge.weight >= min_weight && kept.has(edge.source) && kept.has(edge.target))
+    .sort((a, b) => b.weight - a.weight || a.source.localeCompare(b.source) || a.target.localeCompare(b.target));
+
+  return {
+    nodes: keptNodes,
+    edges: keptEdges,
+    truncated: keptNodes.length < nodes.size
+  };
+}
+
+module.exports = {
+  buildEntityGraph
+};
@@ -0,0 +1,95 @@
+// Fields a PATCH can never change
+const PROTECTED_FIELDS = ['_id', 'id', 'created_at', 'updated_at'];
+
+const LINKED_ENTITY_KINDS = ['people', 'locations', 'events', 'topics'];
+
+const MAX_TAGS = 20;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Recursively merge `changes` into `target`. Nested objects are merged key by
+ * key; arrays and scalars in `changes` replace the existing value.
+ */
+function deepMerge(target, changes) {
+  const result = { ...target };
+
+  Object.entries(changes).forEach(([key, value]) => {
+    if (value === undefined) {
+      return;
+    }
+
+    result[key] = isPlainObject(value) && isPlainObject(result[key])
+      ? deepMerge(result[key], value)
+      : value;
+  });
+
+  return result;
+}
+
+function addItems(items = [], additions = []) {
+  return [...new Set([...items, ...additions])];
+}
+
+function removeItems(items = [], removals = []) {
+  const toRemove = new Set(removals);
+  return items.filter(item => !toRemove.has(item));
+}
+
+/**
+ * Apply a validated PATCH body to an existing entry.
+ *
+ * Plain fields are deep-merged; `add_tags`/`remove_tags` and
+ * `add_linked_entities`/`remove_linked_entities` edit arrays in place without
+ * resending them. Returns `{ entry }`, or `{ error }` when the result would be
+ * invalid.
+ */
+function applyPatch(existing, changes) {
+  const {
+    add_tags: addTags,
+    remove_tags: removeTags,
+    add_linked_entities: addLinkedEntities,
+    remove_linked_entities: removeLinkedEntities,
+    ...fields
+  } = changes;
+
+  PROTECTED_FIELDS.forEach(field => delete fields[field]);
+
+  const entry = deepMerge(existing, fields);
+
+  if (addTags || removeTags) {
+    entry.tags = removeItems(addItems(entry.tags, addTags), removeTags);
+  }
+
+  if (addLinkedEntities || removeLinkedEntities) {
+    const linkedEntities = { ...entry.linked_entities };
+
+    LINKED_ENTITY_KINDS.forEach(kind => {
+      const additions = addLinkedEntities && addLinkedEntities[kind];
+      const removals = removeLinkedEntities && removeLinkedEntities[kind];
+
+      if (additions || removals) {
+        linkedEntities[kind] = removeItems(addItems(linkedEntities[kind], additions), removals);
+      }
+    });
+
+    entry.linked_entities = linkedEntities;
+  }
+
+  if (entry.tags && entry.tags.length > MAX_TAGS) {
+    return { error: `An entry can have at most ${MAX_TAGS} tags` };
+  }
+
+  entry._id = existing._id;
+  entry.created_at = existing.created_at;
+  entry.updated_at = new Date().toISOString();
+
+  return { entry };
+}
+
+module.exports = {
+  applyPatch,
+  deepMerge
+};
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+
+// Clock skew tolerated on exp / nbf, in seconds
+const CLOCK_TOLERANCE_SECONDS = 30;
+
+const encodeSegment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+const hmac = (input, secret) => crypto.createHmac('sha256', secret).update(input).digest();
+
+/**
+ * Sign claims as an HS256 JWT (for issuing tokens from trusted tooling)
+ */
+function signJwt(claims, secret) {
+  const input = `${encodeSegment({ alg: 'HS256', typ: 'JWT' })}.${encodeSegment(claims)}`;
+  return `${input}.${hmac(input, secret).toString('base64url')}`;
+}
+
+/**
+ * Verify an HS256 JWT and return its claims. Tokens must carry `exp`;
+ * `issuer` / `audience` are checked when given. Throws on any failure.
+ */
+function verifyJwt(token, secret, options = {}) {
+  const { issuer, audience, now = Date.now() } = options;
+  const segments = token.split('.');
+
+  if (segments.length !== 3) {
+    throw new Error('Malformed JWT');
+  }
+
+  const [headerSegment, payloadSegment, signatureSegment] = segments;
+  let header;
+  let claims;
+
+  try {
+    header = decodeSegment(headerSegment);
+    claims = decodeSegment(payloadSegment);
+  } catch (error) {
+    throw new Error('Malformed JWT');
+  }
+
+  // Only HS256 is accepted, so "none" or asymmetric algorithms can't be substituted
+  if (header.alg !== 'HS256') {
+    throw new Error(`Unsupported JWT algorithm ${header.alg}`);
+  }
+
+  const expected = hmac(`${headerSegment}.${payloadSegment}`, secret);
+  const actual = Buffer.from(signatureSegment, 'base64url');
+
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new Error('Invalid JWT signature');
+  }
+
+  if (claims === null || typeof claims !== 'object') {
+    throw new Error('Malformed JWT');
+  }
+
+  const seconds = now / 1000;
+
+  if (typeof claims.exp !== 'number') {
+    throw new Error('JWT has no expiry');
+  }
+  if (seconds > claims.exp + CLOCK_TOLERANCE_SECONDS) {
+    throw new Error('JWT has expired');
+  }
+  if (typeof claims.nbf === 'number' && seconds < claims.nbf - CLOCK_TOLERANCE_SECONDS) {
+    throw new Error('JWT is not valid yet');
+  }
+  if (issuer && claims.iss !== issuer) {
+    throw new Error('JWT issuer mismatch');
+  }
+  if (audience && ![].concat(claims.aud).includes(audience)) {
+    throw new Error('JWT audience mismatch');
+  }
+
+  return claims;
+}
+
+module.exports = {
+  signJwt,
+  verifyJwt
+};
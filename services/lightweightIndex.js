@@ -0,0 +1,126 @@
+const { getStore } = require('../storage');
+const { storeFor } = require('./access');
+const { primaryEmbedding, lightweightEmbedding, lightweightVectorOptions, featureVectors } = require('../config/embeddingSchema');
+
+/**
+ * Mirror document for an entry: every field except the embeddings, so
+ * searches can apply the same filters, with lightweight_embedding as $vector
+ */
+function toIndexDocument(entry) {
+  const {
+    [primaryEmbedding.field]: primary,
+    [lightweightEmbedding.field]: lightweight,
+    [featureVectors.field]: features,
+    ...fields
+  } = entry;
+
+  return { ...fields, $vector: lightweight };
+}
+
+const hasLightweightEmbedding = (entry) => Boolean(entry) && Array.isArray(entry[lightweightEmbedding.field]);
+
+function fromIndexDocument(document) {
+  const { $vector, ...entry } = document;
+
+  return $vector === undefined ? entry : { ...entry, [lightweightEmbedding.field]: $vector };
+}
+
+/**
+ * Vector index over entries' lightweight_embedding, kept in its own
+ * collection because a collection has a single vector index. Entries without
+ * a lightweight embedding are not mirrored.
+ */
+class LightweightIndex {
+  constructor() {
+    this.store = null;
+  }
+
+  async initialize() {
+    if (!this.store) {
+      const store = getStore(lightweightEmbedding.collection, { vector: lightweightVectorOptions });
+      await store.initialize();
+
+      const actual = await store.getVectorOptions();
+      if (!actual || actual.dimension !== lightweightVectorOptions.dimension) {
+        throw new Error(
+          `Collection ${lightweightEmbedding.collection} needs a ${lightweightVectorOptions.dimension}-dimension ` +
+          `vector index for ${lightweightEmbedding.field}; set LIGHTWEIGHT_VECTOR_DIMENSIONS to match it`
+        );
+      }
+
+      this.store = store;
+    }
+    return this.store;
+  }
+
+  // Mirror storage scoped to the caller principal, like the main collection
+  async tenantStore(auth) {
+    return storeFor(await this.initialize(), auth);
+  }
+
+  /**
+   * Bring the mirror in line with entries just written to the main
+   * collection (public entry shape, with _id)
+   */
+  async syncEntries(entries, auth) {
+    const store = await this.tenantStore(auth);
+
+    for (const entry of entries) {
+      if (!hasLightweightEmbedding(entry)) {
+        await store.deleteOne({ _id: entry._id });
+        continue;
+      }
+
+      const document = toIndexDocument(entry);
+      const result = await store.replaceOne({ _id: entry._id }, document);
+
+      if (result.matchedCount === 0) {
+        try {
+          await store.insertOne(document);
+        } catch (error) {
+          // A concurrent sync inserted it first
+          if (error.code !== 11000 && !/already exists/i.test(error.message)) {
+            throw error;
+          }
+          await store.replaceOne({ _id: entry._id }, document);
+        }
+      }
+    }
+  }
+
+  /**
+   * Mirror one write of `entry`, which replaced `previous` (null for an
+   * insert). Skipped when neither has a lightweight embedding.
+   */
+  async syncEntry(previous, entry, auth) {
+    if (hasLightweightEmbedding(entry) || hasLightweightEmbedding(previous)) {
+      await this.syncEntries([entry], auth);
+    }
+  }
+
+  async removeEntry(id, auth) {
+    const store = await this.tenantStore(auth);
+    await store.deleteOne({ _id: id });
+  }
+
+  /**
+   * Vector search on the lightweight embedding. Results carry $similarity
+   * and, with `includeVectors`, their lightweight_embedding.
+   */
+  async find(filter, vector, options = {}, auth) {
+    const store = await this.tenantStore(auth);
+
+    const { limit, includeVectors = false } = options;
+    const documents = await store.find(filter, {
+      vector,
+      limit,
+      includeSimilarity: true,
+      projection: includeVectors ? { $vector: 1 } : undefined
+    });
+
+    return documents.map(fromIndexDocument);
+  }
+}
+
+module.exports = new LightweightIndex();
+module.exports.hasLightweightEmbedding = hasLightweightEmbedding;
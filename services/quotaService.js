@@ -0,0 +1,225 @@
+const { getStore } = require('../storage');
+const ServiceError = require('./serviceError');
+const { storeFor } = require('./access');
+
+const USAGE_COLLECTION = 'user_usage';
+
+// Per-user storage limits; 0 (the default) leaves that dimension unlimited
+const QUOTA_MAX_ENTRIES = parseInt(process.env.QUOTA_MAX_ENTRIES) || 0;
+const QUOTA_MAX_BYTES = parseInt(process.env.QUOTA_MAX_BYTES) || 0;
+
+/**
+ * Size an entry counts against the byte quota: its stored JSON, vectors included
+ */
+const documentBytes = (document) => Buffer.byteLength(JSON.stringify(document));
+
+/**
+ * Usage changes for replacing `previous` with `next` (storage documents,
+ * either may be null for an insert or delete), per affected user
+ */
+function usageChanges(previous, next) {
+  const changes = [];
+
+  if (previous && next && previous.user_id === next.user_id) {
+    changes.push({ user_id: next.user_id, entries: 0, bytes: documentBytes(next) - documentBytes(previous) });
+    return changes;
+  }
+  if (next) {
+    changes.push({ user_id: next.user_id, entries: 1, bytes: documentBytes(next) });
+  }
+  if (previous) {
+    changes.push({ user_id: previous.user_id, entries: -1, bytes: -documentBytes(previous) });
+  }
+  return changes;
+}
+
+const negate = ({ user_id, entries, bytes }) => ({ user_id, entries: -entries, bytes: -bytes });
+
+// Ledger updates re-read and retry this many times when another write for
+// the same user changed the record in between
+const LEDGER_UPDATE_ATTEMPTS = 10;
+
+/**
+ * Per-user storage quotas (QUOTA_MAX_ENTRIES / QUOTA_MAX_BYTES). Usage is
+ * kept in a ledger collection, one record per user, seeded from the user's
+ * stored entries the first time it is needed. Writes reserve their usage
+ * before storing and release it if the write fails. A ledger record is only
+ * replaced while it still holds the usage its update read, so concurrent
+ * writes for one user can't both be admitted against the same usage.
+ * Nothing is tracked while both limits are unset.
+ */
+class QuotaService {
+  constructor() {
+    this.store = null;
+    this.limits = { max_entries: QUOTA_MAX_ENTRIES, max_bytes: QUOTA_MAX_BYTES };
+  }
+
+  get enabled() {
+    return this.limits.max_entries > 0 || this.limits.max_bytes > 0;
+  }
+
+  async initialize() {
+    if (!this.store) {
+      this.store = getStore(USAGE_COLLECTION);
+      await this.store.initialize();
+    }
+    return this.store;
+  }
+
+  // Ledger storage scoped to the caller principal (services/access.js)
+  async tenantStore(auth) {
+    return storeFor(await this.initialize(), auth);
+  }
+
+  /**
+   * A user's `{ entries, bytes }` from the ledger. `measure(userId)` counts
+   * their stored entries, for users without a ledger record yet.
+   */
+  async getUsage(userId, auth, measure) {
+    const store = await this.tenantStore(auth);
+    const record = await store.findOne({ _id: userId });
+
+    if (record) {
+      return { entries: record.entries, bytes: record.bytes };
+    }
+
+    const usage = await measure(userId);
+
+    try {
+      await store.insertOne({ _id: userId, user_id: userId, ...usage, updated_at: new Date().toISOString() });
+    } catch (error) {
+      // A concurrent request seeded it first
+      if (error.code !== 11000 && !/already exists/i.test(error.message)) {
+        throw error;
+      }
+      return this.getUsage(userId, auth, measure);
+    }
+
+    return usage;
+  }
+
+  /**
+   * Reason `change` would take a user over quota, or null. Changes that
+   * shrink usage are always allowed.
+   */
+  exceeded(usage, change) {
+    const { max_entries, max_bytes } = this.limits;
+
+    if (max_entries > 0 && change.entries > 0 && usage.entries + change.entries > max_entries) {
+      return `Storage quota exceeded: user ${change.user_id} may store at most ${max_entries} entries`;
+    }
+    if (max_bytes > 0 && change.bytes > 0 && usage.bytes + change.bytes > max_bytes) {
+      return `Storage quota exceeded: user ${change.user_id} may store at most ${max_bytes} bytes`;
+    }
+    return null;
+  }
+
+  /**
+   * Record the change `compute(usage)` returns for the user's current usage;
+   * compute can throw to record nothing. The record is replaced only if it
+   * still holds the usage read, otherwise it is re-read and compute runs
+   * again. Resolves the change recorded.
+   */
+  async update(userId, auth, measure, compute) {
+    const store = await this.tenantStore(auth);
+
+    for (let attempt = 0; attempt < LEDGER_UPDATE_ATTEMPTS; attempt++) {
+      const usage = await this.getUsage(userId, auth, measure);
+      const change = compute(usage);
+
+      const result = await store.replaceOne({ _id: userId, entries: usage.entries, bytes: usage.bytes }, {
+        _id: userId,
+        user_id: userId,
+        entries: Math.max(0, usage.entries + change.entries),
+        bytes: Math.max(0, usage.bytes + change.bytes),
+        updated_at: new Date().toISOString()
+      });
+
+      if (result.matchedCount > 0) {
+        return change;
+      }
+    }
+
+    throw new ServiceError(`Storage usage for user ${userId} is changing concurrently, retry the request`, 409);
+  }
+
+  /**
+   * Check and record usage changes (see usageChanges) ahead of a write.
+   * Throws a 403 ServiceError, recording nothing, if any user would go over quota.
+   */
+  async reserve(changes, auth, measure) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const recorded = [];
+
+    try {
+      for (const change of changes) {
+        await this.update(change.user_id, auth, measure, usage => {
+          const reason = this.exceeded(usage, change);
+          if (reason) {
+            throw new ServiceError(reason, 403);
+          }
+          return change;
+        });
+        recorded.push(change);
+      }
+    } catch (error) {
+      await this.release(recorded, auth, measure);
+      throw error;
+    }
+  }
+
+  /**
+   * Give usage back: changes reserved for a write that failed, or the
+   * usage of deleted entries
+   */
+  async release(changes, auth, measure) {
+    if (!this.enabled) {
+      return;
+    }
+
+    for (const change of changes) {
+      await this.update(change.user_id, auth, measure, () => negate(change));
+    }
+  }
+
+  /**
+   * Reserve new documents for one user in order, admitting as many as fit.
+   * Returns, per document, null if admitted or the reason it was not.
+   */
+  async admit(userId, documents, auth, measure) {
+    if (!this.enabled) {
+      return documents.map(() => null);
+    }
+
+    let reasons;
+
+    await this.update(userId, auth, measure, usage => {
+      const reserved = { user_id: userId, entries: 0, bytes: 0 };
+
+      reasons = documents.map(document => {
+        const change = { user_id: userId, entries: 1, bytes: documentBytes(document) };
+        const reason = this.exceeded({
+          entries: usage.entries + reserved.entries,
+          bytes: usage.bytes + reserved.bytes
+        }, change);
+
+        if (!reason) {
+          reserved.entries += change.entries;
+          reserved.bytes += change.bytes;
+        }
+        return reason;
+      });
+
+      return reserved;
+    });
+
+    return reasons;
+  }
+}
+
+module.exports = new QuotaService();
+module.exports.documentBytes = documentBytes;
+module.exports.usageChanges = usageChanges;
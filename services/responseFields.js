@@ -0,0 +1,61 @@
+const { getPath, setPath, deletePath } = require('../storage/localQuery');
+const { primaryEmbedding, lightweightEmbedding, featureVectors } = require('../config/embeddingSchema');
+
+// Vector fields left out of responses unless requested by name in `fields`
+const EMBEDDING_FIELDS = [primaryEmbedding.field, lightweightEmbedding.field, featureVectors.field];
+
+/**
+ * Response field selection from the `fields` / `exclude` request parameters.
+ *
+ * `fields` keeps only the listed (optionally dotted) paths, plus `_id` and
+ * `$`-prefixed annotations such as `$similarity`; `exclude` drops paths.
+ * Embeddings are excluded unless `fields` names them. `includesVectors` /
+ * `includesLightweightVectors` tell callers whether the indexed vector must
+ * be fetched at all.
+ */
+function createFieldSelector({ fields, exclude } = {}) {
+  const included = fields && fields.length > 0 ? fields : null;
+  const requested = (field) => Boolean(included && included.some(path => path === field || path.startsWith(`${field}.`)));
+  const excluded = [
+    ...(exclude || []),
+    ...EMBEDDING_FIELDS.filter(field => !requested(field))
+  ];
+
+  const select = (entry) => {
+    let result;
+
+    if (included) {
+      result = { _id: entry._id };
+      Object.keys(entry)
+        .filter(key => key.startsWith('$'))
+        .forEach(key => {
+          result[key] = entry[key];
+        });
+      included.forEach(path => {
+        const value = getPath(entry, path);
+        if (value !== undefined) {
+          setPath(result, path, structuredClone(value));
+        }
+      });
+    } else {
+      result = { ...entry };
+      EMBEDDING_FIELDS.forEach(field => delete result[field]);
+      result = structuredClone(result);
+    }
+
+    excluded.forEach(path => deletePath(result, path));
+
+    return result;
+  };
+
+  return {
+    includesVectors: requested(primaryEmbedding.field),
+    includesLightweightVectors: requested(lightweightEmbedding.field),
+    select
+  };
+}
+
+module.exports = {
+  EMBEDDING_FIELDS,
+  createFieldSelector
+};
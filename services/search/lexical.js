@@ -0,0 +1,99 @@
+/**
+ * BM25 keyword scoring over entry title, content and tags.
+ *
+ * Scoring runs in-process over a candidate set fetched from storage, since
+ * the Data API has no full-text index. Title and tag terms count double.
+ */
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in', 'into', 'is', 'it',
+  'of', 'on', 'or', 'so', 'that', 'the', 'their', 'then', 'there', 'these', 'they', 'this',
+  'to', 'was', 'we', 'were', 'will', 'with'
+]);
+
+// BM25 parameters: term frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+const FIELD_WEIGHTS = {
+  title: 2,
+  content: 1,
+  tags: 2
+};
+
+/**
+ * Lowercase and split text into word tokens, dropping stop words
+ */
+function tokenize(text) {
+  if (!text) {
+    return [];
+  }
+
+  return String(text)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length > 0 && !STOP_WORDS.has(token));
+}
+
+/**
+ * Weighted term frequencies and length for one entry
+ */
+function termFrequencies(entry) {
+  const frequencies = new Map();
+  let length = 0;
+
+  Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+    const value = entry[field];
+    const text = Array.isArray(value) ? value.join(' ') : value;
+
+    tokenize(text).forEach(token => {
+      frequencies.set(token, (frequencies.get(token) || 0) + weight);
+      length += weight;
+    });
+  });
+
+  return { frequencies, length };
+}
+
+/**
+ * Rank entries against a text query with BM25. Returns entries that match
+ * at least one query term as `{ entry, score }`, best first.
+ */
+function rankByKeywords(entries, queryText) {
+  const queryTerms = [...new Set(tokenize(queryText))];
+
+  if (queryTerms.length === 0 || entries.length === 0) {
+    return [];
+  }
+
+  const documents = entries.map(entry => ({ entry, ...termFrequencies(entry) }));
+  const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / documents.length || 1;
+
+  const inverseDocumentFrequency = new Map(queryTerms.map(term => {
+    const containing = documents.filter(doc => doc.frequencies.has(term)).length;
+    return [term, Math.log(1 + (documents.length - containing + 0.5) / (containing + 0.5))];
+  }));
+
+  return documents
+    .map(({ entry, frequencies, length }) => {
+      const score = queryTerms.reduce((sum, term) => {
+        const frequency = frequencies.get(term) || 0;
+        if (frequency === 0) {
+          return sum;
+        }
+        const normalization = K1 * (1 - B + B * (length / averageLength));
+        return sum + inverseDocumentFrequency.get(term) * (frequency * (K1 + 1)) / (frequency + normalization);
+      }, 0);
+
+      return { entry, score };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  tokenize,
+  rankByKeywords
+};
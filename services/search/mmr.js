@@ -0,0 +1,66 @@
+const { cosineSimilarity } = require('../../storage/localVectorStore');
+
+/**
+ * Maximal Marginal Relevance re-ranking.
+ *
+ * Greedily picks the candidate maximizing
+ *   lambda * relevance - (1 - lambda) * max(similarity to already selected)
+ * so lambda = 1 is plain relevance order and lower values favour diversity.
+ * Entry-to-entry similarity uses the same (1 + cos) / 2 scale as search
+ * scores; when `field` is set (e.g. session_id), entries sharing its value
+ * with a selected entry count as fully redundant.
+ *
+ * `getRelevance` and `getVector` read each candidate's score and embedding.
+ */
+function maximalMarginalRelevance(candidates, options) {
+  const {
+    lambda = 0.5,
+    limit = candidates.length,
+    field,
+    getRelevance = candidate => candidate.$similarity || 0,
+    getVector = candidate => candidate.primary_embedding
+  } = options;
+
+  // Each candidate's max similarity to the selection so far, updated only
+  // against the latest pick: candidates x selected comparisons overall
+  const remaining = candidates.map(candidate => ({ candidate, redundancy: 0 }));
+  const selected = [];
+
+  const similarityTo = (candidate, chosen) => {
+    if (field && candidate[field] !== undefined && candidate[field] === chosen[field]) {
+      return 1;
+    }
+
+    const a = getVector(candidate);
+    const b = getVector(chosen);
+    return a && b ? (1 + cosineSimilarity(a, b)) / 2 : 0;
+  };
+
+  while (selected.length < limit && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+
+    remaining.forEach(({ candidate, redundancy }, index) => {
+      const score = lambda * getRelevance(candidate) - (1 - lambda) * redundancy;
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    });
+
+    const chosen = remaining.splice(bestIndex, 1)[0].candidate;
+    selected.push(chosen);
+
+    if (selected.length < limit) {
+      remaining.forEach(item => {
+        item.redundancy = Math.max(item.redundancy, similarityTo(item.candidate, chosen));
+      });
+    }
+  }
+
+  return selected;
+}
+
+module.exports = {
+  maximalMarginalRelevance
+};
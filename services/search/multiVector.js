@@ -0,0 +1,36 @@
+const { cosineSimilarity } = require('../../storage/localVectorStore');
+
+/**
+ * Multi-vector scoring: a weighted average of per-vector similarities.
+ *
+ * `weights` maps vector names to weights; `primary` is the result's search
+ * score, other names compare `queryVectors[name]` with the entry's
+ * `feature_vectors[name]` on the same (1 + cos) / 2 scale. An entry without
+ * a weighted vector scores 0 on it. Each result's per-vector similarities
+ * are kept in `$vector_similarities`.
+ */
+function combineVectorScores(results, weights, queryVectors = {}) {
+  const names = Object.keys(weights).filter(name => weights[name] > 0);
+  const totalWeight = names.reduce((sum, name) => sum + weights[name], 0);
+
+  return results.map(result => {
+    const similarities = Object.fromEntries(names.map(name => {
+      if (name === 'primary') {
+        return [name, result.$similarity];
+      }
+
+      const vector = result.feature_vectors && result.feature_vectors[name];
+      return [name, vector ? (1 + cosineSimilarity(queryVectors[name], vector)) / 2 : 0];
+    }));
+
+    return {
+      ...result,
+      $similarity: names.reduce((sum, name) => sum + weights[name] * similarities[name], 0) / totalWeight,
+      $vector_similarities: similarities
+    };
+  }).sort((a, b) => b.$similarity - a.$similarity);
+}
+
+module.exports = {
+  combineVectorScores
+};
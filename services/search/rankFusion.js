@@ -0,0 +1,27 @@
+/**
+ * Weighted Reciprocal Rank Fusion.
+ *
+ * Each ranked list contributes `weight / (k + rank)` (rank starting at 1) to
+ * every item it contains; items are keyed by `_id` and returned with their
+ * fused score and their rank in each named list, best first. A larger `k`
+ * flattens the advantage of top ranks. Lists weighted 0 are left out, so
+ * items only they contain don't appear.
+ */
+function reciprocalRankFusion(rankings, k = 60) {
+  const fused = new Map();
+
+  rankings.filter(({ weight }) => weight > 0).forEach(({ name, items, weight }) => {
+    items.forEach((item, index) => {
+      const current = fused.get(item._id) || { item, score: 0, ranks: {} };
+      current.score += weight / (k + index + 1);
+      current.ranks[name] = index + 1;
+      fused.set(item._id, current);
+    });
+  });
+
+  return Array.from(fused.values()).sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  reciprocalRankFusion
+};
@@ -0,0 +1,185 @@
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * An entry's per-emotion scores, falling back to its dominant emotion's
+ * intensity when it has none
+ */
+const entryEmotions = (result) => {
+  const emotionContext = result.emotion_context || {};
+
+  return emotionContext.emotions || {
+    [emotionContext.dominant_emotion]: emotionContext.intensity ?? 0
+  };
+};
+
+/**
+ * An entry's search_metadata value, or `fallback` when it is unset. Stages
+ * with `zero_as_unset` (the legacy boost flags) also fall back on 0.
+ */
+const metadataValue = (result, name, fallback, stage) => {
+  const value = result.search_metadata?.[name];
+
+  return value === undefined || value === null || (stage.zero_as_unset && value === 0) ? fallback : value;
+};
+
+/**
+ * Scoring stages. Each takes the running score, the result, the stage's
+ * config and the request context, and returns the new score. Additive
+ * stages scale their signal (0-1) by `weight`.
+ */
+const rankingStages = {
+  // Exponential decay with entry age; search_metadata.recency_weight scales
+  // the boost per entry (default_entry_weight when unset)
+  recency: (score, result, stage, context) => {
+    const { half_life_days = 7, weight = 0.1, default_entry_weight = 1 } = stage;
+    const ageDays = Math.max(0, (context.now - new Date(result.created_at)) / DAY_MS);
+    const decay = Math.pow(0.5, ageDays / half_life_days);
+    const entryWeight = metadataValue(result, 'recency_weight', default_entry_weight, stage);
+
+    return score + weight * decay * entryWeight;
+  },
+
+  // search_metadata.user_preference_alignment
+  preference: (score, result, stage) => {
+    const { weight = 0.1, default_alignment = 0.5 } = stage;
+    const alignment = metadataValue(result, 'user_preference_alignment', default_alignment, stage);
+
+    return score + weight * alignment;
+  },
+
+  // Manual per-entry multiplier from search_metadata.boost_factor
+  boost_factor: (score, result, stage) => score * metadataValue(result, 'boost_factor', 1, stage),
+
+  // Fraction of the wanted tags (stage.tags, else the request's tags) the entry carries
+  tag_match: (score, result, stage, context) => {
+    const { weight = 0.1 } = stage;
+    const wanted = stage.tags || context.tags || [];
+    if (wanted.length === 0) {
+      return score;
+    }
+
+    const tags = new Set((result.tags || []).map(tag => tag.toLowerCase()));
+    const matched = wanted.filter(tag => tags.has(tag.toLowerCase())).length;
+
+    return score + weight * (matched / wanted.length);
+  },
+
+  // Weighted average of the entry's scores for the wanted emotions
+  // (stage.emotions, else the request's); falls back to the dominant
+  // emotion's intensity when the entry has no per-emotion scores
+  emotion_match: (score, result, stage, context) => {
+    const { weight = 0.1 } = stage;
+    const wanted = stage.emotions || context.emotions || {};
+    const totalWeight = Object.values(wanted).reduce((sum, value) => sum + value, 0);
+    if (totalWeight === 0) {
+      return score;
+    }
+
+    const emotions = entryEmotions(result);
+    const match = Object.entries(wanted)
+      .reduce((sum, [emotion, value]) => sum + value * (emotions[emotion] || 0), 0) / totalWeight;
+
+    return score + weight * match;
+  },
+
+  // Blend the score with how closely the entry's emotions match a target
+  // profile (stage.profile, else the request's emotion_profile): one minus the
+  // mean absolute difference over the emotions the profile names, so a 0 in
+  // the profile asks for that emotion to be absent
+  emotion_profile: (score, result, stage, context) => {
+    const { weight = 0.3 } = stage;
+    const target = stage.profile || context.emotion_profile || {};
+    const names = Object.keys(target);
+    if (names.length === 0) {
+      return score;
+    }
+
+    const emotions = entryEmotions(result);
+    const distance = names.reduce((sum, name) => sum + Math.abs(target[name] - (emotions[name] || 0)), 0) / names.length;
+
+    return (1 - weight) * score + weight * (1 - distance);
+  },
+
+  // Multiplier per content_type, with an optional `default`
+  content_type_weights: (score, result, stage) => {
+    const { weights = {} } = stage;
+
+    return score * (weights[result.content_type] ?? weights.default ?? 1);
+  }
+};
+
+/**
+ * Check a profile's stages against the known stage types
+ */
+function validateRankingProfile(name, profile) {
+  if (!profile || !Array.isArray(profile.stages)) {
+    throw new Error(`Ranking profile "${name}" must define a stages array`);
+  }
+
+  profile.stages.forEach(stage => {
+    if (!rankingStages[stage.type]) {
+      throw new Error(`Ranking profile "${name}" uses unknown stage type "${stage.type}"`);
+    }
+  });
+
+  return profile;
+}
+
+/**
+ * Profile equivalent to the legacy boost_recent / boost_preferences flags,
+ * which treated 0 in search_metadata as unset
+ */
+function legacyBoostProfile({ boost_recent, boost_preferences }) {
+  return {
+    stages: [
+      ...(boost_recent ? [{
+        type: 'recency', half_life_days: Math.LN2 / 0.1, weight: 0.1, default_entry_weight: 0.5, zero_as_unset: true
+      }] : []),
+      ...(boost_preferences ? [{ type: 'preference', weight: 0.1, zero_as_unset: true }] : []),
+      { type: 'boost_factor', zero_as_unset: true }
+    ],
+    cap: 1
+  };
+}
+
+/**
+ * Re-score results with a profile's stages and sort by the new score.
+ * `$similarity` becomes the ranked score; the raw value is kept in
+ * `$original_similarity`. With `context.explain`, each result also gets
+ * `$ranking_stages`: the score change contributed by every stage.
+ */
+function rerank(results, profile, context = {}) {
+  if (profile.stages.length === 0) {
+    return results;
+  }
+
+  const stageContext = { now: new Date(), ...context };
+
+  return results.map(result => {
+    const contributions = [];
+    const score = profile.stages.reduce((current, stage) => {
+      const next = rankingStages[stage.type](current, result, stage, stageContext);
+      contributions.push({ stage: stage.type, contribution: next - current });
+      return next;
+    }, result.$similarity);
+
+    const finalScore = profile.cap === undefined ? score : Math.min(score, profile.cap);
+    if (finalScore !== score) {
+      contributions.push({ stage: 'cap', contribution: finalScore - score });
+    }
+
+    return {
+      ...result,
+      $similarity: finalScore,
+      $original_similarity: result.$similarity,
+      ...(context.explain && { $ranking_stages: contributions })
+    };
+  }).sort((a, b) => b.$similarity - a.$similarity);
+}
+
+module.exports = {
+  rankingStages,
+  validateRankingProfile,
+  legacyBoostProfile,
+  rerank
+};
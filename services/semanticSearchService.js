@@ -1,366 +1,1755 @@
-const astraClient = require('../config/astradb');
-const { v4: uuidv4 } = require('uuid');
+const { getStore, DEFAULT_COLLECTION } = require('../storage');
+const { primaryEmbedding, lightweightEmbedding, collectionVectorOptions } = require('../config/embeddingSchema');
+const { toStorageDocument, fromStorageDocument, withVectorsProjection } = require('./vectorFields');
+const { applyPatch } = require('./entryPatch');
+const { rankByKeywords } = require('./search/lexical');
+const { reciprocalRankFusion } = require('./search/rankFusion');
+const { maximalMarginalRelevance } = require('./search/mmr');
+const { combineVectorScores } = require('./search/multiVector');
+const { rerank, legacyBoostProfile, validateRankingProfile } = require('./search/ranking');
+const { rankingProfiles, DEFAULT_RANKING_PROFILE } = require('../config/rankingProfiles');
+const { createEmbeddingProvider } = require('./embeddings');
+const { buildEntityGraph } = require('./entityGraph');
+const { createFieldSelector } = require('./responseFields');
+const entityAliasService = require('./entityAliasService');
+const lightweightIndex = require('./lightweightIndex');
+const { hasLightweightEmbedding } = lightweightIndex;
+const quotaService = require('./quotaService');
+const ServiceError = require('./serviceError');
+const { documentBytes, usageChanges } = quotaService;
+const { assertUserAccess, assertAdmin, canAccessUser, scopeFilter, storeFor } = require('./access');
+const {
+  LISTING_SORT_FIELDS,
+  encodeCursor,
+  decodeCursor,
+  keysetFilter,
+  fingerprintQuery
+} = require('./cursor');
+const { getPath, matchesFilter } = require('../storage/localQuery');
+const { cosineSimilarity } = require('../storage/localVectorStore');
+const { v4: uuidv4, v5: uuidv5 } = require('uuid');
+
+// Hybrid search: vector/keyword candidates fused per query, and how many
+// recent entries matching the filter are scanned for keyword matches
+const HYBRID_CANDIDATE_LIMIT = parseInt(process.env.HYBRID_CANDIDATE_LIMIT) || 100;
+const LEXICAL_SCAN_LIMIT = parseInt(process.env.LEXICAL_SCAN_LIMIT) || 1000;
+
+// MMR re-ranks a candidate pool this many times larger than the requested limit
+const MMR_CANDIDATE_MULTIPLIER = parseInt(process.env.MMR_CANDIDATE_MULTIPLIER) || 4;
+
+// Multi-vector search re-scores a candidate pool this many times larger than
+// the requested page, since feature vectors can reorder the primary ranking
+const MULTI_VECTOR_CANDIDATE_MULTIPLIER = parseInt(process.env.MULTI_VECTOR_CANDIDATE_MULTIPLIER) || 4;
+
+// Vector candidates fetched per requested result, so the similarity threshold
+// and re-ranking run before truncation; the Data API returns at most 1000
+const SEARCH_OVERFETCH_FACTOR = parseInt(process.env.SEARCH_OVERFETCH_FACTOR) || 3;
+const MAX_SEARCH_CANDIDATES = 1000;
+
+// Query fields that don't change the ranked result list
+const PAGINATION_FIELDS = ['limit', 'offset', 'cursor', 'explain', 'fields', 'exclude'];
+
+// Grouped search fetches this many candidates per requested session, and
+// returns at most SESSION_ENTRY_LIMIT messages per session
+const SESSION_CANDIDATE_MULTIPLIER = parseInt(process.env.SESSION_CANDIDATE_MULTIPLIER) || 10;
+const SESSION_ENTRY_LIMIT = parseInt(process.env.SESSION_ENTRY_LIMIT) || 200;
+
+// Entries scanned per entity graph request
+const ENTITY_GRAPH_SCAN_LIMIT = parseInt(process.env.ENTITY_GRAPH_SCAN_LIMIT) || 5000;
+
+// Entries scanned per user when backfilling entity aliases
+const ALIAS_BACKFILL_SCAN_LIMIT = parseInt(process.env.ALIAS_BACKFILL_SCAN_LIMIT) || 10000;
+
+// Lightweight candidates two-stage search re-scores with primary_embedding
+// unless the request sets rescore_limit; ids are looked up in $in batches
+const TWO_STAGE_RESCORE_LIMIT = parseInt(process.env.TWO_STAGE_RESCORE_LIMIT) || 200;
+const ID_LOOKUP_BATCH_SIZE = 100;
+
+// Entries scanned per user when rebuilding the lightweight index
+const LIGHTWEIGHT_REINDEX_SCAN_LIMIT = parseInt(process.env.LIGHTWEIGHT_REINDEX_SCAN_LIMIT) || 10000;
+
+// Entries scanned per /stats request for the content type distribution
+const STATS_SCAN_LIMIT = parseInt(process.env.STATS_SCAN_LIMIT) || 10000;
+
+// Entries scanned per user when seeding their storage quota usage
+const QUOTA_SCAN_LIMIT = parseInt(process.env.QUOTA_SCAN_LIMIT) || 10000;
+
+// Write responses get the default field selection: everything but embeddings
+const writeResponseFields = createFieldSelector();
+
+// Counts are exact up to this many documents (the Data API's limit); past
+// it, listings report total_exceeds instead of a total
+const COUNT_UPPER_BOUND = 1000;
+
+// Namespace for deterministic _ids derived from the user_id + entry_id natural key
+const ENTRY_ID_NAMESPACE = 'b7f3c1e2-5d4a-4f8e-9c6b-2a1d0e9f8c7b';
+
+// Documents per insertMany call; the Data API accepts at most 20 per request
+const BULK_INSERT_BATCH_SIZE = parseInt(process.env.BULK_INSERT_BATCH_SIZE) || 20;
+
+// Fail fast on misconfigured profiles rather than on the first search using them
+Object.entries(rankingProfiles).forEach(([name, profile]) => validateRankingProfile(name, profile));
+if (!rankingProfiles[DEFAULT_RANKING_PROFILE]) {
+  throw new Error(`DEFAULT_RANKING_PROFILE "${DEFAULT_RANKING_PROFILE}" is not a configured ranking profile`);
+}
+
+/**
+ * Pagination total for a countDocuments result, which is null when more
+ * than COUNT_UPPER_BOUND entries match
+ */
+const totalFields = (total, limit, withPages) => (total === null
+  ? { total_exceeds: COUNT_UPPER_BOUND }
+  : { total, ...(withPages && { pages: Math.ceil(total / limit) }) });
+
+/**
+ * Text embedded for entries that arrive without a primary_embedding
+ */
+const entryText = (entry) => [entry.title, entry.content].filter(Boolean).join('\n\n');
 
 class SemanticSearchService {
   constructor() {
-    this.collection = null;
+    // Unscoped adapter; data methods go through tenantStore(auth)
+    this.baseStore = null;
+    // Resolved lazily from EMBEDDING_PROVIDER; null means callers send vectors
+    this.embeddingProvider = undefined;
+  }
+
+  /**
+   * Resolve the configured storage adapter (see storage/index.js) and verify
+   * that its vector index, and the lightweight index's, match the embedding schema
+   */
+  async initialize() {
+    if (!this.baseStore) {
+      const store = getStore(DEFAULT_COLLECTION, { vector: collectionVectorOptions });
+      await store.initialize();
+      await this.verifyVectorSchema(store);
+      await lightweightIndex.initialize();
+      this.baseStore = store;
+    }
+    return this.baseStore;
+  }
+
+  /**
+   * Storage as seen by the caller principal (services/access.js). Every data
+   * method queries and writes through it, so a user credential can't reach
+   * another user's entries whatever its filters say.
+   */
+  async tenantStore(auth) {
+    return storeFor(await this.initialize(), auth);
+  }
+
+  /**
+   * Mirror a committed write to the lightweight index. Failures are logged,
+   * not thrown: the entry is stored, and rebuilding the user's lightweight
+   * index repairs the mirror.
+   */
+  async mirrorWrite(sync) {
+    try {
+      await sync();
+    } catch (error) {
+      console.error('⚠️  Lightweight index out of sync, rebuild it for the affected user:', error.message);
+    }
+  }
+
+  /**
+   * A user's stored entries and their size, which seeds their quota usage.
+   * Refuses users with QUOTA_SCAN_LIMIT entries or more rather than seeding
+   * the ledger from a partial scan.
+   */
+  async measureUsage(store, userId) {
+    const documents = await store.find({ user_id: userId }, {
+      limit: QUOTA_SCAN_LIMIT,
+      projection: withVectorsProjection
+    });
+
+    if (documents.length === QUOTA_SCAN_LIMIT) {
+      throw new ServiceError(
+        `Cannot measure storage usage for user ${userId}: they have at least QUOTA_SCAN_LIMIT (${QUOTA_SCAN_LIMIT}) entries`,
+        503
+      );
+    }
+
+    return {
+      entries: documents.length,
+      bytes: documents.reduce((sum, document) => sum + documentBytes(document), 0)
+    };
+  }
+
+  /**
+   * Run a storage write with its quota usage (see quotaService.js) reserved,
+   * releasing it if the write throws or matches nothing
+   */
+  async withQuota(store, usage, auth, write) {
+    const measure = userId => this.measureUsage(store, userId);
+    await quotaService.reserve(usage, auth, measure);
+
+    let result;
+    try {
+      result = await write();
+    } catch (error) {
+      await quotaService.release(usage, auth, measure);
+      throw error;
+    }
+
+    if (result && result.matchedCount === 0) {
+      await quotaService.release(usage, auth, measure);
+    }
+    return result;
+  }
+
+  /**
+   * Refuse to run against a collection whose vector index was created with a
+   * different dimension or metric than the configured primary embedding
+   */
+  async verifyVectorSchema(store) {
+    const actual = await store.getVectorOptions();
+    const { dimension, metric } = collectionVectorOptions;
+
+    if (!actual || !actual.dimension) {
+      throw new Error(
+        `Collection ${DEFAULT_COLLECTION} has no vector index; ${primaryEmbedding.field} ` +
+        `requires a ${dimension}-dimension ${metric} index`
+      );
+    }
+
+    const actualMetric = actual.metric || 'cosine';
+
+    if (actual.dimension !== dimension || actualMetric !== metric) {
+      throw new Error(
+        `Collection ${DEFAULT_COLLECTION} vector index is ${actual.dimension}-dimension ${actualMetric}, ` +
+        `but ${primaryEmbedding.field} is configured as ${dimension}-dimension ${metric}. ` +
+        'Set DEFAULT_VECTOR_DIMENSIONS and VECTOR_METRIC to match the collection, or migrate it to a new collection'
+      );
+    }
+  }
+
+  /**
+   * Health of the active storage backend
+   */
+  async healthCheck() {
+    const store = await this.initialize();
+    return store.healthCheck();
+  }
+
+  /**
+   * Embedding provider used when callers send text instead of vectors
+   */
+  getEmbeddingProvider() {
+    if (this.embeddingProvider === undefined) {
+      this.embeddingProvider = createEmbeddingProvider();
+    }
+    return this.embeddingProvider;
+  }
+
+  /**
+   * Replace the embedding provider (e.g. with an HTTP provider, or in tests)
+   */
+  setEmbeddingProvider(provider) {
+    this.embeddingProvider = provider;
+  }
+
+  /**
+   * Embed texts with the configured provider
+   */
+  async embedTexts(texts) {
+    const provider = this.getEmbeddingProvider();
+
+    if (!provider) {
+      throw new ServiceError(
+        `No embedding provider is configured; send ${primaryEmbedding.field} / embedding with the request or set EMBEDDING_PROVIDER`
+      );
+    }
+
+    return provider.embed(texts);
+  }
+
+  /**
+   * Fill in primary_embedding for entries sent as text only, embedding their
+   * title and content and recording the provider's model in model_version
+   */
+  async withEmbeddings(entries) {
+    const missing = entries.filter(entry => !entry.primary_embedding);
+
+    if (missing.length === 0) {
+      return entries;
+    }
+
+    const vectors = await this.embedTexts(missing.map(entryText));
+    const { modelName } = this.getEmbeddingProvider();
+    let next = 0;
+
+    return entries.map(entry => (entry.primary_embedding ? entry : {
+      ...entry,
+      primary_embedding: vectors[next++],
+      model_version: modelName
+    }));
+  }
+
+  /**
+   * Rewrite linked entity names to their canonical form using each user's
+   * alias registry (see entityAliasService.js), as visible to `auth`
+   */
+  async withCanonicalEntities(entries, auth) {
+    const resolvers = new Map();
+
+    return Promise.all(entries.map(async entry => {
+      if (!entry.linked_entities) {
+        return entry;
+      }
+
+      if (!resolvers.has(entry.user_id)) {
+        resolvers.set(entry.user_id, entityAliasService.getResolver(entry.user_id, auth));
+      }
+      const resolver = await resolvers.get(entry.user_id);
+
+      return {
+        ...entry,
+        linked_entities: resolver.linkedEntities(entry.linked_entities)
+      };
+    }));
+  }
+
+  /**
+   * Create a new semantic search entry. `auth` is the caller principal
+   * (services/access.js), here and in every other data method.
+   */
+  async createEntry(entryData, auth) {
+    try {
+      const store = await this.tenantStore(auth);
+      assertUserAccess(auth, entryData.user_id);
+
+      const [embeddedEntry] = await this.withEmbeddings(await this.withCanonicalEntities([entryData], auth));
+
+      const entry = {
+        _id: uuidv4(),
+        ...embeddedEntry
+        // Note: created_at and updated_at are now required in the request body
+      };
+
+      // primary_embedding is written to the indexed $vector field
+      const document = toStorageDocument(entry);
+      await this.withQuota(store, usageChanges(null, document), auth, () => store.insertOne(document));
+      await this.mirrorWrite(() => lightweightIndex.syncEntry(null, entry, auth));
+
+      return {
+        success: true,
+        data: writeResponseFields.select({
+          id: entry._id,
+          ...entry
+        })
+      };
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        throw error;
+      }
+      console.error('Error creating semantic search entry:', error);
+      throw new Error(`Failed to create semantic search entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create or replace the entry identified by its natural key (user_id +
+   * entry_id), so retried ingests never produce duplicates. New entries get a
+   * deterministic _id, which makes concurrent first writes collide instead
+   * of both inserting.
+   */
+  async upsertEntry(upsertData, auth) {
+    try {
+      const store = await this.tenantStore(auth);
+      assertUserAccess(auth, upsertData.user_id);
+
+      const [entryData] = await this.withEmbeddings(await this.withCanonicalEntities([upsertData], auth));
+
+      const naturalKey = { user_id: entryData.user_id, entry_id: entryData.entry_id };
+
+      for (let attempt = 0; attempt < 2; attempt++) {
+        // The whole document is only needed to size it for quotas
+        const existingEntry = await store.findOne(naturalKey, {
+          projection: quotaService.enabled
+            ? withVectorsProjection
+            : { _id: 1, created_at: 1, [lightweightEmbedding.field]: 1 }
+        });
+
+        if (existingEntry) {
+          const replacementEntry = {
+            _id: existingEntry._id,
+            ...entryData,
+            created_at: existingEntry.created_at
+          };
+
+          const document = toStorageDocument(replacementEntry);
+          const result = await this.withQuota(store, usageChanges(existingEntry, document), auth,
+            () => store.replaceOne({ _id: existingEntry._id }, document));
+
+          if (result.matchedCount > 0) {
+            await this.mirrorWrite(() => lightweightIndex.syncEntry(existingEntry, replacementEntry, auth));
+            return {
+              success: true,
+              created: false,
+              data: writeResponseFields.select({ id: existingEntry._id, ...replacementEntry })
+            };
+          }
+          continue;
+        }
+
+        const entry = {
+          _id: uuidv5(`${entryData.user_id}:${entryData.entry_id}`, ENTRY_ID_NAMESPACE),
+          ...entryData
+        };
+
+        try {
+          const document = toStorageDocument(entry);
+          await this.withQuota(store, usageChanges(null, document), auth, () => store.insertOne(document));
+          await this.mirrorWrite(() => lightweightIndex.syncEntry(null, entry, auth));
+          return {
+            success: true,
+            created: true,
+            data: writeResponseFields.select({ id: entry._id, ...entry })
+          };
+        } catch (error) {
+          // Another request inserted the same natural key first; replace it instead
+          if (error.code !== 11000 && !/already exists/i.test(error.message)) {
+            throw error;
+          }
+        }
+      }
+
+      throw new Error(`Concurrent writes for entry_id ${entryData.entry_id} did not settle`);
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        throw error;
+      }
+      console.error('Error upserting semantic search entry:', error);
+      throw new Error(`Failed to upsert semantic search entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create many entries, writing them in insertMany batches. Returns one
+   * result per entry, in order, so a failed write doesn't fail the others.
+   */
+  async createEntries(entriesData, auth) {
+    try {
+      const store = await this.tenantStore(auth);
+
+      const results = new Array(entriesData.length);
+      const permitted = [];
+
+      // Entries for users the caller can't write to fail individually
+      entriesData.forEach((entryData, index) => {
+        if (canAccessUser(auth, entryData.user_id)) {
+          permitted.push(index);
+        } else {
+          results[index] = {
+            success: false,
+            entry_id: entryData.entry_id,
+            error: 'This credential can only access its own entries'
+          };
+        }
+      });
+
+      const entries = (await this.withCanonicalEntities(permitted.map(index => entriesData[index]), auth)).map(entryData => ({
+        _id: uuidv4(),
+        ...entryData
+      }));
+
+      // Without a provider, text-only items fail individually instead of failing the batch
+      const canEmbed = Boolean(this.getEmbeddingProvider());
+      const embeddedEntries = canEmbed
+        ? await this.withEmbeddings(entries)
+        : entries;
+
+      const writable = [];
+
+      embeddedEntries.forEach((entry, i) => {
+        const index = permitted[i];
+        if (entry.primary_embedding) {
+          writable.push({ entry, index });
+        } else {
+          results[index] = {
+            success: false,
+            entry_id: entry.entry_id,
+            error: `${primaryEmbedding.field} is required when no embedding provider is configured`
+          };
+        }
+      });
+
+      const measure = userId => this.measureUsage(store, userId);
+      const withinQuota = await this.admitWithinQuota(writable, results, auth, measure);
+
+      for (let start = 0; start < withinQuota.length; start += BULK_INSERT_BATCH_SIZE) {
+        const batch = withinQuota.slice(start, start + BULK_INSERT_BATCH_SIZE);
+        const batchResults = await this.insertBatch(store, batch.map(({ entry }) => entry), auth);
+        batchResults.forEach((result, i) => {
+          results[batch[i].index] = result;
+        });
+
+        const failed = batch.filter((item, i) => !batchResults[i].success);
+        await quotaService.release(failed.map(({ entry }) => usageChanges(null, toStorageDocument(entry))[0]), auth, measure);
+      }
+
+      return {
+        success: true,
+        data: results
+      };
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        throw error;
+      }
+      console.error('Error creating semantic search entries:', error);
+      throw new Error(`Failed to create semantic search entries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reserve quota for bulk items user by user, in request order. Items that
+   * don't fit fail individually in `results`; the rest are returned in order.
+   */
+  async admitWithinQuota(items, results, auth, measure) {
+    const byUser = new Map();
+    items.forEach(item => {
+      byUser.set(item.entry.user_id, [...(byUser.get(item.entry.user_id) || []), item]);
+    });
+
+    const admitted = [];
+
+    for (const [userId, userItems] of byUser) {
+      const reasons = await quotaService.admit(userId, userItems.map(({ entry }) => toStorageDocument(entry)), auth, measure);
+
+      userItems.forEach((item, i) => {
+        if (reasons[i]) {
+          results[item.index] = { success: false, entry_id: item.entry.entry_id, error: reasons[i] };
+        } else {
+          admitted.push(item);
+        }
+      });
+    }
+
+    return admitted.sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Insert one batch; if insertMany fails, fall back to inserting the
+   * documents that didn't make it one by one to find the failing ones.
+   * Written entries are then mirrored to the lightweight index.
+   */
+  async insertBatch(store, batch, auth) {
+    const results = await this.insertBatchDocuments(store, batch);
+    const indexable = batch.filter((entry, i) => results[i].success && hasLightweightEmbedding(entry));
+    if (indexable.length > 0) {
+      await this.mirrorWrite(() => lightweightIndex.syncEntries(indexable, auth));
+    }
+    return results;
+  }
+
+  async insertBatchDocuments(store, batch) {
+    try {
+      await store.insertMany(batch.map(toStorageDocument));
+      return batch.map(entry => ({ success: true, id: entry._id, entry_id: entry.entry_id }));
+    } catch (batchError) {
+      const inserted = new Set((batchError.partialResult && batchError.partialResult.insertedIds) || []);
+
+      const results = [];
+      for (const entry of batch) {
+        if (inserted.has(entry._id)) {
+          results.push({ success: true, id: entry._id, entry_id: entry.entry_id });
+          continue;
+        }
+
+        try {
+          await store.insertOne(toStorageDocument(entry));
+          results.push({ success: true, id: entry._id, entry_id: entry.entry_id });
+        } catch (error) {
+          results.push({ success: false, entry_id: entry.entry_id, error: error.message });
+        }
+      }
+      return results;
+    }
+  }
+
+  /**
+   * Get semantic search entry by ID. `options.fields` / `options.exclude`
+   * select response fields (embeddings are omitted unless requested).
+   */
+  async getEntryById(id, options = {}, auth) {
+    try {
+      const store = await this.tenantStore(auth);
+
+      // Other users' entries are outside the caller's store, so they read as missing
+      const selector = createFieldSelector(options);
+      const result = await store.findOne({ _id: id }, {
+        projection: selector.includesVectors ? withVectorsProjection : undefined
+      });
+      
+      if (!result) {
+        return {
+          success: false,
+          error: 'Semantic search entry not found'
+        };
+      }
+
+      return {
+        success: true,
+        data: selector.select(fromStorageDocument(result))
+      };
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        throw error;
+      }
+      console.error('Error getting semantic search entry:', error);
+      throw new Error(`Failed to get semantic search entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update semantic search entry - REPLACES the entire entry
+   */
+  async updateEntry(id, updateData, auth) {
+    try {
+      const store = await this.tenantStore(auth);
+      assertUserAccess(auth, updateData.user_id);
+
+      const [newEntryData] = await this.withEmbeddings(await this.withCanonicalEntities([updateData], auth));
+
+      // First check if the entry exists (whole, when quotas need its size)
+      const existingEntry = await store.findOne({ _id: id }, {
+        projection: quotaService.enabled ? withVectorsProjection : undefined
+      });
+      
+      if (!existingEntry) {
+        return {
+          success: false,
+          error: 'Semantic search entry not found'
+        };
+      }
+
+      // Create completely new entry data, preserving only id and created_at
+      const replacementEntry = {
+        _id: id,  // Keep the same ID
+        ...newEntryData,  // All new data from the request (including updated_at)
+        created_at: existingEntry.created_at  // Preserve original creation time
+      };
+
+      // Replace the entire document
+      const document = toStorageDocument(replacementEntry);
+      const result = await this.withQuota(store, usageChanges(existingEntry, document), auth,
+        () => store.replaceOne({ _id: id }, document));
+
+      if (result.matchedCount === 0) {
+        return {
+          success: false,
+          error: 'Semantic search entry not found'
+        };
+      }
+
+      await this.mirrorWrite(() => lightweightIndex.syncEntry(existingEntry, replacementEntry, auth));
+
+      // Fetch and return the replaced document
+      const updatedEntry = await store.findOne({ _id: id });
+
+      return {
+        success: true,
+        data: writeResponseFields.select(fromStorageDocument(updatedEntry))
+      };
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        throw error;
+      }
+      console.error('Error updating semantic search entry:', error);
+      throw new Error(`Failed to update semantic search entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Partially update semantic search entry - deep-merges the given fields
+   * and applies tag / linked entity array operations (see entryPatch.js)
+   */
+  async patchEntry(id, changes, auth) {
+    try {
+      const store = await this.tenantStore(auth);
+
+      if (changes.user_id !== undefined) {
+        assertUserAccess(auth, changes.user_id);
+      }
+
+      const existingEntry = await store.findOne({ _id: id }, { projection: withVectorsProjection });
+
+      if (!existingEntry) {
+        return {
+          success: false,
+          error: 'Semantic search entry not found'
+        };
+      }
+
+      const previousEntry = fromStorageDocument(existingEntry);
+
+      // Add/remove operations compare names exactly, so bring the stored
+      // entities and the operations to canonical names first
+      const resolver = await entityAliasService.getResolver(changes.user_id || previousEntry.user_id, auth);
+      const canonical = linked => linked && resolver.linkedEntities(linked);
+      const { entry: mergedEntry, error } = applyPatch(
+        previousEntry.linked_entities
+          ? { ...previousEntry, linked_entities: canonical(previousEntry.linked_entities) }
+          : previousEntry,
+        {
+          ...changes,
+          add_linked_entities: canonical(changes.add_linked_entities),
+          remove_linked_entities: canonical(changes.remove_linked_entities)
+        }
+      );
+
+      if (error) {
+        return {
+          success: false,
+          status: 400,
+          error
+        };
+      }
+
+      const [patchedEntry] = await this.withCanonicalEntities([mergedEntry], auth);
+
+      // Re-embed edited text, but only for entries the service embedded itself
+      const provider = this.getEmbeddingProvider();
+      const textChanged = changes.title !== undefined || changes.content !== undefined;
+      const entry = textChanged && !changes.primary_embedding && provider &&
+        previousEntry.model_version === provider.modelName
+        ? (await this.withEmbeddings([{ ...patchedEntry, primary_embedding: undefined }]))[0]
+        : patchedEntry;
+
+      const document = toStorageDocument(entry);
+      const result = await this.withQuota(store, usageChanges(existingEntry, document), auth,
+        () => store.replaceOne({ _id: id }, document));
+
+      if (result.matchedCount === 0) {
+        return {
+          success: false,
+          error: 'Semantic search entry not found'
+        };
+      }
+
+      await this.mirrorWrite(() => lightweightIndex.syncEntry(existingEntry, entry, auth));
+
+      return {
+        success: true,
+        data: writeResponseFields.select(entry)
+      };
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        throw error;
+      }
+      console.error('Error patching semantic search entry:', error);
+      throw new Error(`Failed to patch semantic search entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete semantic search entry
+   */
+  async deleteEntry(id, auth) {
+    try {
+      const store = await this.tenantStore(auth);
+
+      // Sized before deleting so its usage can be released
+      const existingEntry = quotaService.enabled
+        ? await store.findOne({ _id: id }, { projection: withVectorsProjection })
+        : null;
+
+      const result = await store.deleteOne({ _id: id });
+
+      if (result.deletedCount === 0) {
+        return {
+          success: false,
+          error: 'Semantic search entry not found'
+        };
+      }
+
+      if (existingEntry) {
+        await quotaService.release(usageChanges(null, existingEntry), auth, userId => this.measureUsage(store, userId));
+      }
+
+      await this.mirrorWrite(() => lightweightIndex.removeEntry(id, auth));
+
+      return {
+        success: true,
+        message: 'Semantic search entry deleted successfully'
+      };
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        throw error;
+      }
+      console.error('Error deleting semantic search entry:', error);
+      throw new Error(`Failed to delete semantic search entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Search entries by vector similarity
+   */
+  async searchSimilar(queryData, auth) {
+    try {
+      const store = await this.tenantStore(auth);
+
+      const {
+        limit = 10,
+        similarity_threshold = 0.7,
+        mode = 'vector',
+        query_text,
+        hybrid_weight = 0.5,
+        rrf_k = 60,
+        diversify,
+        explain = false,
+        group_by,
+        vector_index = 'primary',
+        vector_weights
+      } = queryData;
+
+      const offset = this.resolveSearchOffset(queryData);
+      const pageEnd = offset + limit;
+
+      if (pageEnd > MAX_SEARCH_CANDIDATES) {
+        throw new ServiceError(`Search results can only be paged through the top ${MAX_SEARCH_CANDIDATES} matches`);
+      }
+
+      // User credentials only ever search their own entries
+      const entityQuery = await this.withCanonicalEntityFilters(queryData, queryData.user_id || auth.user_id, auth);
+      const filter = scopeFilter(auth, this.buildSearchFilter(entityQuery));
+
+      if (vector_weights) {
+        this.assertVectorWeights(vector_weights, queryData.feature_vectors);
+      }
+
+      // Text-only queries are embedded by the configured provider; searching
+      // the lightweight index alone needs no primary query vector
+      let embedding = queryData.embedding;
+      if (!embedding && vector_index !== 'lightweight') {
+        if (!query_text) {
+          throw new ServiceError(`embedding or query_text is required to search the ${vector_index} index`);
+        }
+        embedding = (await this.embedTexts([query_text]))[0];
+      }
+
+      // Over-fetch so thresholding and re-ranking happen before the page is cut;
+      // hybrid fusion and MMR diversification need a wider pool still
+      let candidateLimit = pageEnd * SEARCH_OVERFETCH_FACTOR;
+      if (diversify) {
+        candidateLimit = Math.max(candidateLimit, pageEnd * MMR_CANDIDATE_MULTIPLIER);
+      }
+      if (mode === 'hybrid') {
+        candidateLimit = Math.max(candidateLimit, HYBRID_CANDIDATE_LIMIT);
+      }
+      if (group_by === 'session') {
+        candidateLimit = Math.max(candidateLimit, pageEnd * SESSION_CANDIDATE_MULTIPLIER);
+      }
+      if (vector_weights) {
+        candidateLimit = Math.max(candidateLimit, pageEnd * MULTI_VECTOR_CANDIDATE_MULTIPLIER);
+      }
+      candidateLimit = Math.min(candidateLimit, MAX_SEARCH_CANDIDATES);
+
+      // Stored vectors are only fetched for MMR or when the client asked for them
+      const selector = createFieldSelector(queryData);
+
+      const results = await this.findCandidates(store, filter, {
+        vector_index,
+        embedding,
+        lightweight_embedding: queryData.lightweight_embedding,
+        limit: candidateLimit,
+        rescore_limit: queryData.rescore_limit,
+        includeVectors: Boolean(diversify) ||
+          (vector_index === 'lightweight' ? selector.includesLightweightVectors : selector.includesVectors)
+      }, auth);
+
+      // Weighted multi-vector scores replace the primary similarity
+      const scoredResults = vector_weights
+        ? combineVectorScores(results, vector_weights, queryData.feature_vectors)
+        : results;
+
+      // Filter by similarity threshold
+      const filteredResults = scoredResults.filter(result => 
+        result.$similarity >= similarity_threshold
+      );
+
+      // Results arrive in similarity order, so a full pool that all cleared the
+      // threshold means more matches may exist beyond it
+      const poolTruncated = results.length === candidateLimit && filteredResults.length === results.length;
+
+      const ranking = this.resolveRankingProfile(queryData);
+      let processedResults = rerank(filteredResults, ranking.profile, {
+        tags: queryData.tags,
+        ...queryData.ranking_context,
+        emotion_profile: queryData.emotion_profile,
+        explain
+      });
+
+      if (mode === 'hybrid') {
+        processedResults = await this.fuseWithKeywordMatches(store, processedResults, filter, {
+          query_text,
+          hybrid_weight,
+          rrf_k
+        });
+      }
+
+      if (diversify) {
+        processedResults = this.diversifyResults(processedResults, {
+          ...diversify,
+          mode,
+          limit: pageEnd,
+          vectorField: vector_index === 'lightweight' ? lightweightEmbedding.field : primaryEmbedding.field
+        });
+      }
+
+      const vectorRanks = new Map(filteredResults.map((result, index) => [result._id, index + 1]));
+      let page;
+
+      if (group_by === 'session') {
+        if (explain) {
+          processedResults = this.explainResults(processedResults, { filter, offset: 0, ranking: ranking.name, vectorRanks });
+        }
+        processedResults = this.groupBySession(processedResults);
+        page = await this.withSessionEntries(store, processedResults.slice(offset, pageEnd), filter.user_id, selector);
+      } else {
+        page = processedResults.slice(offset, pageEnd);
+
+        if (explain) {
+          page = this.explainResults(page, { filter, offset, ranking: ranking.name, vectorRanks });
+        }
+        page = page.map(selector.select);
+      }
+
+      const hasMore = pageEnd < MAX_SEARCH_CANDIDATES &&
+        (processedResults.length > pageEnd || (poolTruncated && page.length === limit));
+
+      return {
+        success: true,
+        data: {
+          results: page,
+          total: page.length,
+          mode,
+          vector_index,
+          similarity_threshold,
+          ranking_profile: ranking.name,
+          boost_applied: ranking.profile.stages.length > 0,
+          diversified: Boolean(diversify),
+          ...(group_by && { group_by }),
+          ...(explain && {
+            explanation: {
+              filter,
+              candidates_fetched: results.length,
+              candidates_above_threshold: filteredResults.length
+            }
+          }),
+          pagination: {
+            offset,
+            limit,
+            has_more: hasMore,
+            next_cursor: hasMore
+              ? encodeCursor({ offset: pageEnd, query: fingerprintQuery(queryData, PAGINATION_FIELDS) })
+              : null
+          }
+        }
+      };
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        throw error;
+      }
+      console.error('Error searching semantic entries:', error);
+      throw new Error(`Failed to search semantic entries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Candidate pool for a search, most similar first, from the requested
+   * index: the primary vector index, the lightweight index alone, or
+   * lightweight candidates re-scored exactly with primary_embedding
+   */
+  async findCandidates(store, filter, options, auth) {
+    const { vector_index, embedding, lightweight_embedding, limit, rescore_limit, includeVectors } = options;
+
+    if (vector_index === 'lightweight') {
+      return lightweightIndex.find(filter, lightweight_embedding, { limit, includeVectors }, auth);
+    }
+
+    if (vector_index === 'two_stage') {
+      const shortlist = await lightweightIndex.find(filter, lightweight_embedding, {
+        limit: rescore_limit || Math.min(Math.max(limit, TWO_STAGE_RESCORE_LIMIT), MAX_SEARCH_CANDIDATES)
+      }, auth);
+      return (await this.rescoreWithPrimary(store, shortlist, embedding)).slice(0, limit);
+    }
+
+    return (await store.find(filter, {
+      vector: embedding,
+      limit,
+      includeSimilarity: true,
+      projection: includeVectors ? withVectorsProjection : undefined
+    })).map(fromStorageDocument);
+  }
+
+  /**
+   * Exact primary_embedding similarity for lightweight candidates, on the
+   * (1 + cos) / 2 scale vector search reports. The first-pass score is kept
+   * in `$lightweight_similarity`.
+   */
+  async rescoreWithPrimary(store, candidates, embedding) {
+    const documents = new Map();
+
+    for (let start = 0; start < candidates.length; start += ID_LOOKUP_BATCH_SIZE) {
+      const ids = candidates.slice(start, start + ID_LOOKUP_BATCH_SIZE).map(candidate => candidate._id);
+      const batch = await store.find({ _id: { $in: ids } }, { projection: withVectorsProjection });
+      batch.forEach(document => documents.set(document._id, fromStorageDocument(document)));
+    }
+
+    return candidates
+      .filter(candidate => documents.has(candidate._id))
+      .map(candidate => {
+        const entry = documents.get(candidate._id);
+        return {
+          ...entry,
+          $similarity: (1 + cosineSimilarity(embedding, entry[primaryEmbedding.field])) / 2,
+          $lightweight_similarity: candidate.$similarity
+        };
+      })
+      .sort((a, b) => b.$similarity - a.$similarity);
+  }
+
+  /**
+   * "More like this": search with an existing entry's stored embedding,
+   * excluding the entry itself and optionally the rest of its session.
+   * Results are scoped to the source entry's user unless user_id is given.
+   */
+  async findSimilarEntries(id, options = {}, auth) {
+    try {
+      const store = await this.tenantStore(auth);
+
+      const sourceDocument = await store.findOne({ _id: id }, { projection: withVectorsProjection });
+
+      if (!sourceDocument) {
+        return {
+          success: false,
+          error: 'Semantic search entry not found'
+        };
+      }
+
+      const source = fromStorageDocument(sourceDocument);
+
+      if (options.vector_index && options.vector_index !== 'primary' && !source[lightweightEmbedding.field]) {
+        throw new ServiceError(`Entry has no ${lightweightEmbedding.field} to search the ${options.vector_index} index with`);
+      }
+
+      const {
+        exclude_same_session = false,
+        diversify_lambda,
+        diversify_field,
+        ...searchOptions
+      } = options;
+
+      const diversify = diversify_lambda !== undefined || diversify_field
+        ? { lambda: diversify_lambda === undefined ? 0.5 : diversify_lambda, field: diversify_field }
+        : undefined;
+
+      const result = await this.searchSimilar({
+        user_id: source.user_id,
+        ...searchOptions,
+        diversify,
+        embedding: source.primary_embedding,
+        lightweight_embedding: source[lightweightEmbedding.field],
+        exclude_ids: [id],
+        ...(exclude_same_session && source.session_id && { exclude_session_ids: [source.session_id] })
+      }, auth);
+
+      return {
+        success: true,
+        data: {
+          source_id: id,
+          ...result.data
+        }
+      };
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        throw error;
+      }
+      console.error('Error finding similar semantic entries:', error);
+      throw new Error(`Failed to find similar semantic entries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Multi-vector weights need a positive total and a query vector for every
+   * weighted feature vector
+   */
+  assertVectorWeights(weights, queryVectors = {}) {
+    const weighted = Object.keys(weights).filter(name => weights[name] > 0);
+
+    if (weighted.length === 0) {
+      throw new ServiceError('vector_weights must give at least one vector a positive weight');
+    }
+
+    const missing = weighted.filter(name => name !== 'primary' && !queryVectors[name]);
+    if (missing.length > 0) {
+      throw new ServiceError(`feature_vectors must include a query vector for: ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * Starting rank for a search page, from an explicit offset or a cursor
+   * issued for the same query
+   */
+  resolveSearchOffset(queryData) {
+    if (!queryData.cursor) {
+      return queryData.offset || 0;
+    }
+
+    const cursor = decodeCursor(queryData.cursor);
+
+    if (!Number.isInteger(cursor.offset) || cursor.offset < 0) {
+      throw new ServiceError('Invalid pagination cursor');
+    }
+    if (cursor.query !== fingerprintQuery(queryData, PAGINATION_FIELDS)) {
+      throw new ServiceError('Pagination cursor does not match this query');
+    }
+
+    return cursor.offset;
+  }
+
+  /**
+   * Build the storage filter shared by the search modes
+   */
+  buildSearchFilter(queryData) {
+    const {
+      user_id,
+      content_type,
+      tags,
+      exclude_ids,
+      exclude_session_ids,
+      dominant_emotion,
+      min_intensity,
+      max_intensity
+    } = queryData;
+
+    const filter = {};
+
+    if (user_id) {
+      filter.user_id = user_id;
+    }
+
+    if (exclude_ids && exclude_ids.length > 0) {
+      filter._id = { $nin: exclude_ids };
+    }
+
+    if (exclude_session_ids && exclude_session_ids.length > 0) {
+      filter.session_id = { $nin: exclude_session_ids };
+    }
+
+    if (content_type && content_type.length > 0) {
+      filter.content_type = { $in: content_type };
+    }
+
+    if (tags && tags.length > 0) {
+      filter.tags = { $in: tags };
+    }
+
+    if (dominant_emotion && dominant_emotion.length > 0) {
+      filter['emotion_context.dominant_emotion'] = { $in: dominant_emotion };
+    }
+
+    if (min_intensity !== undefined || max_intensity !== undefined) {
+      filter['emotion_context.intensity'] = {
+        ...(min_intensity !== undefined && { $gte: min_intensity }),
+        ...(max_intensity !== undefined && { $lte: max_intensity })
+      };
+    }
+
+    return this.applyEntityFilters(this.applyTimeFilters(filter, queryData), queryData);
   }
 
-  async initialize() {
-    if (!this.collection) {
-      this.collection = await astraClient.getCollection();
-      await this.ensureCollection();
+  /**
+   * Resolve required_entities / any_entities names through the user's alias
+   * registry, since stored entries carry canonical names. Without a user
+   * (admin searches across users) names are left as given.
+   */
+  async withCanonicalEntityFilters(options, userId, auth) {
+    const { required_entities, any_entities } = options;
+
+    if (!userId || (!required_entities && !any_entities)) {
+      return options;
     }
-    return this.collection;
+
+    const resolver = await entityAliasService.getResolver(userId, auth);
+
+    return {
+      ...options,
+      ...(required_entities && { required_entities: resolver.linkedEntities(required_entities) }),
+      ...(any_entities && { any_entities: resolver.linkedEntities(any_entities) })
+    };
   }
 
   /**
-   * Ensure the semantic_search collection exists, create if it doesn't
+   * Add linked entity filters: every entity in required_entities must be
+   * linked, and at least one in any_entities (canonical names match exactly)
    */
-  async ensureCollection() {
-    try {
-      // Try to get collection info by attempting a simple find operation
-      await this.collection.findOne({}, { projection: { _id: 1 } });
-      console.log('✅ Collection semantic_search exists');
-    } catch (error) {
-      if (error.message.includes('not found') || error.message.includes('Collection') || 
-          error.message.includes('does not exist')) {
-        console.log('📝 Creating semantic_search collection...');
-        try {
-          // Get the database instance to create collection
-          const db = await astraClient.getDatabase();
-          
-          // Create collection with vector configuration
-          const newCollection = await db.createCollection('semantic_search', {
-            vector: {
-              dimension: parseInt(process.env.DEFAULT_VECTOR_DIMENSIONS) || 1536,
-              metric: 'cosine'
-            }
-          });
-          
-          console.log('✅ Collection semantic_search created successfully');
-          
-          // Update the collection reference
-          this.collection = newCollection;
-        } catch (createError) {
-          console.error('❌ Failed to create collection:', createError.message);
-          // If collection already exists, just get it
-          if (createError.message.includes('already exists')) {
-            console.log('📝 Collection already exists, getting reference...');
-            const db = await astraClient.getDatabase();
-            this.collection = await db.collection('semantic_search');
-            console.log('✅ Collection reference updated');
-          } else {
-            throw new Error(`Failed to create collection: ${createError.message}`);
-          }
-        }
-      } else {
-        console.error('❌ Error checking collection:', error.message);
-        throw error;
-      }
+  applyEntityFilters(filter, options) {
+    const { required_entities = {}, any_entities = {} } = options;
+
+    Object.entries(required_entities).forEach(([kind, names]) => {
+      filter[`linked_entities.${kind}`] = { $all: names };
+    });
+
+    const anyClauses = Object.entries(any_entities)
+      .map(([kind, names]) => ({ [`linked_entities.${kind}`]: { $in: names } }));
+
+    if (anyClauses.length > 0) {
+      filter.$and = [...(filter.$and || []), { $or: anyClauses }];
     }
+
+    return filter;
   }
 
   /**
-   * Create a new semantic search entry
+   * Add created_at range and temporal_context filters. created_after is
+   * inclusive and created_before exclusive; entries without temporal_context
+   * never match the temporal filters.
    */
-  async createEntry(entryData) {
-    try {
-      await this.initialize();
+  applyTimeFilters(filter, options) {
+    const { created_after, created_before, hour_from, hour_to, days_of_week, is_weekend } = options;
 
-      const entry = {
-        _id: uuidv4(),
-        ...entryData
-        // Note: created_at and updated_at are now required in the request body
+    if (created_after || created_before) {
+      filter.created_at = {
+        ...(created_after && { $gte: new Date(created_after).toISOString() }),
+        ...(created_before && { $lt: new Date(created_before).toISOString() })
       };
+    }
 
-      // Insert using vector search capability
-      const result = await this.collection.insertOne(entry);
-      
-      return {
-        success: true,
-        data: {
-          id: entry._id,
-          ...entry
+    if (hour_from !== undefined && hour_to !== undefined && hour_from > hour_to) {
+      // Range wraps past midnight
+      filter.$and = [
+        ...(filter.$and || []),
+        {
+          $or: [
+            { 'temporal_context.hour_of_day': { $gte: hour_from } },
+            { 'temporal_context.hour_of_day': { $lte: hour_to } }
+          ]
         }
+      ];
+    } else if (hour_from !== undefined || hour_to !== undefined) {
+      filter['temporal_context.hour_of_day'] = {
+        ...(hour_from !== undefined && { $gte: hour_from }),
+        ...(hour_to !== undefined && { $lte: hour_to })
       };
-    } catch (error) {
-      console.error('Error creating semantic search entry:', error);
-      throw new Error(`Failed to create semantic search entry: ${error.message}`);
     }
+
+    if (days_of_week && days_of_week.length > 0) {
+      filter['temporal_context.day_of_week'] = { $in: days_of_week };
+    }
+
+    if (is_weekend !== undefined) {
+      filter['temporal_context.is_weekend'] = is_weekend;
+    }
+
+    return filter;
   }
 
   /**
-   * Get semantic search entry by ID
+   * Hybrid search: rank the entries matching `filter` by BM25 keyword score
+   * over title, content and tags, then fuse that ranking with the vector
+   * ranking by reciprocal rank fusion. `hybrid_weight` is the vector share.
    */
-  async getEntryById(id) {
-    try {
-      await this.initialize();
+  async fuseWithKeywordMatches(store, vectorResults, filter, options) {
+    const { query_text, hybrid_weight, rrf_k } = options;
 
-      const result = await this.collection.findOne({ _id: id });
-      
-      if (!result) {
-        return {
-          success: false,
-          error: 'Semantic search entry not found'
-        };
+    const corpus = (await store.find(filter, {
+      sort: { created_at: -1 },
+      limit: LEXICAL_SCAN_LIMIT
+    })).map(fromStorageDocument);
+
+    const keywordMatches = rankByKeywords(corpus, query_text).slice(0, HYBRID_CANDIDATE_LIMIT);
+    const keywordScores = new Map(keywordMatches.map(({ entry, score }) => [entry._id, score]));
+
+    const fused = reciprocalRankFusion([
+      { name: 'vector', items: vectorResults, weight: hybrid_weight },
+      { name: 'keyword', items: keywordMatches.map(({ entry }) => entry), weight: 1 - hybrid_weight }
+    ], rrf_k);
+
+    return fused.map(({ item, score, ranks }) => ({
+      ...item,
+      $hybrid_score: score,
+      $keyword_score: keywordScores.get(item._id) || 0,
+      $ranks: ranks
+    }));
+  }
+
+  /**
+   * Attach an `$explanation` to each result of a page: the raw vector
+   * similarity, every ranking stage's contribution, hybrid scores, which
+   * filter clauses it satisfied, and its rank before and after re-ranking
+   */
+  explainResults(page, options) {
+    const { filter, offset, ranking, vectorRanks } = options;
+
+    return page.map((result, index) => {
+      const { $ranking_stages, ...rest } = result;
+      const vectorSimilarity = result.$original_similarity ?? result.$similarity;
+
+      return {
+        ...rest,
+        $explanation: {
+          vector_similarity: vectorSimilarity ?? null,
+          ranking_profile: ranking,
+          boosts: $ranking_stages || [],
+          final_score: result.$hybrid_score ?? result.$similarity,
+          ...(result.$vector_similarities && { vector_similarities: result.$vector_similarities }),
+          ...(result.$hybrid_score !== undefined && {
+            keyword_score: result.$keyword_score,
+            fusion_ranks: result.$ranks
+          }),
+          filters_matched: Object.keys(filter)
+            .filter(key => matchesFilter(result, { [key]: filter[key] })),
+          rank_before: vectorRanks.get(result._id) ?? null,
+          rank_after: offset + index + 1
+        }
+      };
+    });
+  }
+
+  /**
+   * Collapse ranked hits into sessions, ordered by each session's best hit
+   */
+  groupBySession(results) {
+    const groups = new Map();
+
+    results.forEach(result => {
+      const key = result.session_id || result._id;
+      if (!groups.has(key)) {
+        groups.set(key, { session_id: result.session_id || null, best: result, hits: [] });
       }
+      groups.get(key).hits.push(result);
+    });
+
+    return [...groups.values()];
+  }
+
+  /**
+   * Expand session groups into whole conversations in chronological order,
+   * marking matched messages and the best match
+   */
+  async withSessionEntries(store, groups, userId, selector) {
+    return Promise.all(groups.map(async ({ session_id, best, hits }) => {
+      const hitsById = new Map(hits.map(hit => [hit._id, hit]));
+
+      const entries = session_id
+        ? (await store.find({ session_id, ...(userId && { user_id: userId }) }, {
+          sort: { created_at: 1, _id: 1 },
+          limit: SESSION_ENTRY_LIMIT,
+          projection: selector.includesVectors ? withVectorsProjection : undefined
+        })).map(fromStorageDocument)
+        : [best];
 
       return {
-        success: true,
-        data: result
+        session_id,
+        score: best.$hybrid_score ?? best.$similarity,
+        match_count: hits.length,
+        best_match_id: best._id,
+        entries: entries.map(entry => {
+          const hit = hitsById.get(entry._id);
+          return selector.select(hit
+            ? { ...hit, $matched: true, $best_match: hit._id === best._id }
+            : { ...entry, $matched: false, $best_match: false });
+        })
       };
-    } catch (error) {
-      console.error('Error getting semantic search entry:', error);
-      throw new Error(`Failed to get semantic search entry: ${error.message}`);
-    }
+    }));
   }
 
   /**
-   * Update semantic search entry - REPLACES the entire entry
+   * Re-rank results with Maximal Marginal Relevance. Relevance is the
+   * similarity score, or in hybrid mode the fused score scaled to [0, 1].
    */
-  async updateEntry(id, newEntryData) {
-    try {
-      await this.initialize();
+  diversifyResults(results, options) {
+    const { lambda = 0.5, field, mode, limit, vectorField = primaryEmbedding.field } = options;
 
-      // First check if the entry exists
-      const existingEntry = await this.collection.findOne({ _id: id });
-      
-      if (!existingEntry) {
-        return {
-          success: false,
-          error: 'Semantic search entry not found'
-        };
+    const maxHybridScore = Math.max(0, ...results.map(result => result.$hybrid_score || 0)) || 1;
+    const getRelevance = mode === 'hybrid'
+      ? result => result.$hybrid_score / maxHybridScore
+      : result => result.$similarity;
+
+    return maximalMarginalRelevance(results, {
+      lambda,
+      field,
+      limit,
+      getRelevance,
+      getVector: result => result[vectorField]
+    });
+  }
+
+  /**
+   * Pick the ranking profile for a search: the requested one, the profile
+   * equivalent to the legacy boost flags, or the configured default
+   */
+  resolveRankingProfile(queryData) {
+    const { ranking_profile, boost_recent, boost_preferences, emotion_profile, emotion_weight = 0.3 } = queryData;
+
+    let ranking;
+    if (ranking_profile) {
+      if (!rankingProfiles[ranking_profile]) {
+        throw new ServiceError(`Unknown ranking profile "${ranking_profile}"`);
       }
+      ranking = { name: ranking_profile, profile: rankingProfiles[ranking_profile] };
+    } else if (boost_recent || boost_preferences) {
+      ranking = { name: 'legacy', profile: legacyBoostProfile({ boost_recent, boost_preferences }) };
+    } else {
+      ranking = { name: DEFAULT_RANKING_PROFILE, profile: rankingProfiles[DEFAULT_RANKING_PROFILE] };
+    }
 
-      // Create completely new entry data, preserving only id and created_at
-      const replacementEntry = {
-        _id: id,  // Keep the same ID
-        ...newEntryData,  // All new data from the request (including updated_at)
-        created_at: existingEntry.created_at  // Preserve original creation time
+    // A target emotion profile is blended in on top of whichever profile applies
+    if (emotion_profile) {
+      ranking.profile = {
+        ...ranking.profile,
+        stages: [...ranking.profile.stages, { type: 'emotion_profile', weight: emotion_weight }]
       };
+    }
 
-      // Replace the entire document
-      const result = await this.collection.replaceOne(
-        { _id: id },
-        replacementEntry
-      );
+    return ranking;
+  }
 
-      if (result.matchedCount === 0) {
-        return {
-          success: false,
-          error: 'Semantic search entry not found'
-        };
+  /**
+   * Get entries by user ID with pagination
+   */
+  async getUserEntries(userId, options = {}, auth) {
+    try {
+      const store = await this.tenantStore(auth);
+      assertUserAccess(auth, userId);
+
+      const { content_type, include_total = true } = options;
+
+      let filter = { user_id: userId };
+      
+      if (content_type) {
+        filter.content_type = content_type;
       }
 
-      // Fetch and return the replaced document
-      const updatedEntry = await this.collection.findOne({ _id: id });
+      const entityOptions = await this.withCanonicalEntityFilters(options, userId, auth);
+      filter = this.applyEntityFilters(this.applyTimeFilters(filter, options), entityOptions);
 
       return {
         success: true,
-        data: updatedEntry
+        data: await this.listEntries(store, filter, { limit: 10, ...options, include_total })
       };
     } catch (error) {
-      console.error('Error updating semantic search entry:', error);
-      throw new Error(`Failed to update semantic search entry: ${error.message}`);
+      if (error instanceof ServiceError) {
+        throw error;
+      }
+      console.error('Error getting user entries:', error);
+      throw new Error(`Failed to get user entries: ${error.message}`);
     }
   }
 
   /**
-   * Delete semantic search entry
+   * One page of a listing sorted on a whitelisted field with _id as the
+   * tie-break. Pages continue from an opaque `cursor` (keyset pagination,
+   * stable under concurrent inserts) or, for older clients, a `page` number.
+   * The total count is optional since it costs a second query.
+   */
+  async listEntries(store, filter, options) {
+    const {
+      limit,
+      cursor,
+      page,
+      sort_by = 'created_at',
+      sort_order = 'desc',
+      include_total = false
+    } = options;
+
+    if (!LISTING_SORT_FIELDS.includes(sort_by)) {
+      throw new ServiceError(`Cannot sort by "${sort_by}". Sortable fields: ${LISTING_SORT_FIELDS.join(', ')}`);
+    }
+
+    const selector = createFieldSelector(options);
+    const direction = sort_order === 'asc' ? 1 : -1;
+    const queryKey = fingerprintQuery({ filter, sort_by, sort_order });
+    let pageFilter = filter;
+    let skip;
+
+    if (cursor && page) {
+      throw new ServiceError('Use either page or cursor, not both');
+    }
+
+    if (cursor) {
+      const position = decodeCursor(cursor);
+      if (position.query !== queryKey || typeof position.id !== 'string') {
+        throw new ServiceError('Pagination cursor does not match this query');
+      }
+      pageFilter = keysetFilter(filter, sort_by, direction, position);
+    } else if (page > 1) {
+      skip = (page - 1) * limit;
+    }
+
+    // One extra document tells whether another page exists
+    const documents = await store.find(pageFilter, {
+      sort: { [sort_by]: direction, _id: direction },
+      skip,
+      limit: limit + 1,
+      projection: selector.includesVectors ? withVectorsProjection : undefined
+    });
+
+    const entries = documents.slice(0, limit).map(fromStorageDocument);
+    const hasMore = documents.length > limit;
+    const last = entries[entries.length - 1];
+    const total = include_total ? await store.countDocuments(filter, COUNT_UPPER_BOUND) : undefined;
+
+    return {
+      entries: entries.map(selector.select),
+      pagination: {
+        limit,
+        has_more: hasMore,
+        next_cursor: hasMore
+          ? encodeCursor({ value: getPath(last, sort_by), id: last._id, query: queryKey })
+          : null,
+        ...(page && { page }),
+        ...(total !== undefined && totalFields(total, limit, Boolean(page)))
+      }
+    };
+  }
+
+  /**
+   * Get a session's messages in chronological order with pagination
    */
-  async deleteEntry(id) {
+  async getSessionEntries(sessionId, options = {}, auth) {
     try {
-      await this.initialize();
+      const store = await this.tenantStore(auth);
 
-      const result = await this.collection.deleteOne({ _id: id });
+      const { page = 1, limit = 50, user_id, message_type } = options;
 
-      if (result.deletedCount === 0) {
-        return {
-          success: false,
-          error: 'Semantic search entry not found'
-        };
+      let filter = { session_id: sessionId };
+
+      if (user_id) {
+        filter.user_id = user_id;
       }
 
+      if (message_type) {
+        filter.message_type = message_type;
+      }
+
+      filter = scopeFilter(auth, filter);
+
+      const selector = createFieldSelector(options);
+      // _id breaks timestamp ties so messages keep their place between pages
+      const results = (await store.find(filter, {
+        sort: { created_at: 1, _id: 1 },
+        skip: (page - 1) * limit,
+        limit,
+        projection: selector.includesVectors ? withVectorsProjection : undefined
+      })).map(fromStorageDocument).map(selector.select);
+
+      const total = await store.countDocuments(filter, COUNT_UPPER_BOUND);
+
       return {
         success: true,
-        message: 'Semantic search entry deleted successfully'
+        data: {
+          session_id: sessionId,
+          entries: results,
+          pagination: {
+            page,
+            limit,
+            ...totalFields(total, limit, true)
+          }
+        }
       };
     } catch (error) {
-      console.error('Error deleting semantic search entry:', error);
-      throw new Error(`Failed to delete semantic search entry: ${error.message}`);
+      if (error instanceof ServiceError) {
+        throw error;
+      }
+      console.error('Error getting session entries:', error);
+      throw new Error(`Failed to get session entries: ${error.message}`);
     }
   }
 
   /**
-   * Search entries by vector similarity
+   * Build the entity co-occurrence graph for a user's entries, optionally
+   * restricted by content type and the time filters
    */
-  async searchSimilar(queryData) {
+  async getEntityGraph(userId, options = {}, auth) {
     try {
-      await this.initialize();
+      const store = await this.tenantStore(auth);
+      assertUserAccess(auth, userId);
 
-      const {
-        embedding,
-        user_id,
-        content_type,
-        tags,
-        limit = 10,
-        similarity_threshold = 0.7,
-        boost_recent = false,
-        boost_preferences = false
-      } = queryData;
+      const { content_type, kinds, min_weight, max_nodes } = options;
+
+      let filter = { user_id: userId };
 
-      // Build filter criteria
-      let filter = {};
-      
-      if (user_id) {
-        filter.user_id = user_id;
-      }
-      
       if (content_type && content_type.length > 0) {
         filter.content_type = { $in: content_type };
       }
-      
-      if (tags && tags.length > 0) {
-        filter.tags = { $in: tags };
-      }
 
-      // Perform vector search
-      const results = await this.collection.find(filter, {
-        vector: embedding,
-        limit: limit,
-        includeSimilarity: true
-      }).toArray();
-
-      // Filter by similarity threshold
-      const filteredResults = results.filter(result => 
-        result.$similarity >= similarity_threshold
-      );
+      filter = this.applyTimeFilters(filter, options);
 
-      // Apply boosting if requested
-      let processedResults = filteredResults;
+      const entries = await store.find(filter, {
+        limit: ENTITY_GRAPH_SCAN_LIMIT,
+        projection: { linked_entities: 1, created_at: 1 }
+      });
 
-      if (boost_recent || boost_preferences) {
-        processedResults = this.applyBoosting(filteredResults, {
-          boost_recent,
-          boost_preferences
-        });
-      }
+      const graph = buildEntityGraph(entries, { kinds, min_weight, max_nodes });
 
       return {
         success: true,
         data: {
-          results: processedResults,
-          total: processedResults.length,
-          similarity_threshold,
-          boost_applied: boost_recent || boost_preferences
+          user_id: userId,
+          ...graph,
+          entries_scanned: entries.length,
+          scan_limit_reached: entries.length === ENTITY_GRAPH_SCAN_LIMIT
         }
       };
     } catch (error) {
-      console.error('Error searching semantic entries:', error);
-      throw new Error(`Failed to search semantic entries: ${error.message}`);
+      if (error instanceof ServiceError) {
+        throw error;
+      }
+      console.error('Error building entity graph:', error);
+      throw new Error(`Failed to build entity graph: ${error.message}`);
     }
   }
 
   /**
-   * Apply boosting factors to search results
+   * Rewrite a user's existing entries so their linked entity names match the
+   * current alias registry. Returns how many entries were scanned and updated.
    */
-  applyBoosting(results, options) {
-    const { boost_recent, boost_preferences } = options;
-    const now = new Date();
+  async backfillEntityAliases(userId, auth) {
+    try {
+      const store = await this.tenantStore(auth);
+      assertUserAccess(auth, userId);
 
-    return results.map(result => {
-      let adjustedSimilarity = result.$similarity;
-      const metadata = result.search_metadata || {};
+      const resolver = await entityAliasService.getResolver(userId, auth);
+      const entries = await store.find({ user_id: userId }, {
+        limit: ALIAS_BACKFILL_SCAN_LIMIT,
+        projection: { linked_entities: 1 }
+      });
 
-      // Apply recency boost
-      if (boost_recent) {
-        const createdAt = new Date(result.created_at);
-        const daysSinceCreated = (now - createdAt) / (1000 * 60 * 60 * 24);
-        const recencyBoost = Math.exp(-daysSinceCreated * 0.1) * (metadata.recency_weight || 0.5);
-        adjustedSimilarity += recencyBoost * 0.1;
-      }
+      let updated = 0;
+      let overQuota = 0;
 
-      // Apply preference alignment boost
-      if (boost_preferences) {
-        const preferenceBoost = (metadata.user_preference_alignment || 0.5) * 0.1;
-        adjustedSimilarity += preferenceBoost;
-      }
+      for (const { _id, linked_entities } of entries) {
+        if (!linked_entities) {
+          continue;
+        }
+
+        const canonical = resolver.linkedEntities(linked_entities);
+        if (JSON.stringify(canonical) === JSON.stringify(linked_entities)) {
+          continue;
+        }
+
+        const existing = await store.findOne({ _id }, { projection: withVectorsProjection });
+        if (existing) {
+          const document = { ...existing, linked_entities: canonical };
 
-      // Apply general boost factor
-      if (metadata.boost_factor && metadata.boost_factor !== 1.0) {
-        adjustedSimilarity *= metadata.boost_factor;
+          try {
+            await this.withQuota(store, usageChanges(existing, document), auth, () => store.replaceOne({ _id }, document));
+          } catch (error) {
+            // Entries the rewrite would take over quota keep their names
+            if (!(error instanceof ServiceError) || error.status !== 403) {
+              throw error;
+            }
+            overQuota++;
+            continue;
+          }
+
+          await this.mirrorWrite(() => lightweightIndex.syncEntry(existing, fromStorageDocument(document), auth));
+          updated++;
+        }
       }
 
       return {
-        ...result,
-        $similarity: Math.min(adjustedSimilarity, 1.0), // Cap at 1.0
-        $original_similarity: result.$similarity
+        success: true,
+        data: {
+          scanned: entries.length,
+          updated,
+          over_quota: overQuota,
+          scan_limit_reached: entries.length === ALIAS_BACKFILL_SCAN_LIMIT
+        }
       };
-    }).sort((a, b) => b.$similarity - a.$similarity);
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        throw error;
+      }
+      console.error('Error backfilling entity aliases:', error);
+      throw new Error(`Failed to backfill entity aliases: ${error.message}`);
+    }
   }
 
   /**
-   * Get entries by user ID with pagination
+   * Mirror a user's existing entries into the lightweight index, for entries
+   * written before it existed. Returns how many entries were scanned and indexed.
    */
-  async getUserEntries(userId, options = {}) {
+  async rebuildLightweightIndex(userId, auth) {
     try {
-      await this.initialize();
+      const store = await this.tenantStore(auth);
+      assertUserAccess(auth, userId);
 
-      const {
-        page = 1,
-        limit = 10,
-        content_type,
-        sort_by = 'created_at',
-        sort_order = 'desc'
-      } = options;
+      const entries = await store.find({ user_id: userId }, { limit: LIGHTWEIGHT_REINDEX_SCAN_LIMIT });
+      const indexable = entries.filter(entry => Array.isArray(entry[lightweightEmbedding.field]));
 
-      const skip = (page - 1) * limit;
-      
-      let filter = { user_id: userId };
-      
-      if (content_type) {
-        filter.content_type = content_type;
-      }
+      await lightweightIndex.syncEntries(indexable.map(fromStorageDocument), auth);
 
-      const sortOptions = {};
-      sortOptions[sort_by] = sort_order === 'desc' ? -1 : 1;
+      return {
+        success: true,
+        data: {
+          scanned: entries.length,
+          indexed: indexable.length,
+          scan_limit_reached: entries.length === LIGHTWEIGHT_REINDEX_SCAN_LIMIT
+        }
+      };
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        throw error;
+      }
+      console.error('Error rebuilding lightweight index:', error);
+      throw new Error(`Failed to rebuild lightweight index: ${error.message}`);
+    }
+  }
 
-      const results = await this.collection
-        .find(filter)
-        .sort(sortOptions)
-        .skip(skip)
-        .limit(limit)
-        .toArray();
+  /**
+   * A user's stored entries and bytes, with the configured quota limits.
+   * Without quotas nothing is tracked: entries are counted (within
+   * COUNT_UPPER_BOUND) and bytes are null.
+   */
+  async getUsage(userId, auth) {
+    try {
+      const store = await this.tenantStore(auth);
+      assertUserAccess(auth, userId);
 
-      const total = await this.collection.countDocuments(filter);
+      let usage;
+      if (quotaService.enabled) {
+        usage = await quotaService.getUsage(userId, auth, id => this.measureUsage(store, id));
+      } else {
+        const entries = await store.countDocuments({ user_id: userId }, COUNT_UPPER_BOUND);
+        usage = {
+          ...(entries === null ? { entries_exceeds: COUNT_UPPER_BOUND } : { entries }),
+          bytes: null
+        };
+      }
+      const { max_entries, max_bytes } = quotaService.limits;
 
       return {
         success: true,
         data: {
-          entries: results,
-          pagination: {
-            page,
-            limit,
-            total,
-            pages: Math.ceil(total / limit)
+          user_id: userId,
+          ...usage,
+          limits: {
+            max_entries: max_entries || null,
+            max_bytes: max_bytes || null
           }
         }
       };
     } catch (error) {
-      console.error('Error getting user entries:', error);
-      throw new Error(`Failed to get user entries: ${error.message}`);
+      if (error instanceof ServiceError) {
+        throw error;
+      }
+      console.error('Error getting storage usage:', error);
+      throw new Error(`Failed to get storage usage: ${error.message}`);
     }
   }
 
   /**
    * Get entries by content type
    */
-  async getEntriesByType(contentType, options = {}) {
+  async getEntriesByType(contentType, options = {}, auth) {
     try {
-      await this.initialize();
+      const store = await this.tenantStore(auth);
 
-      const { limit = 50, user_id } = options;
+      const { user_id } = options;
       
       let filter = { content_type: contentType };
       
@@ -368,63 +1757,74 @@ class SemanticSearchService {
         filter.user_id = user_id;
       }
 
-      const results = await this.collection
-        .find(filter)
-        .sort({ created_at: -1 })
-        .limit(limit)
-        .toArray();
+      filter = scopeFilter(auth, this.applyTimeFilters(filter, options));
+
+      const { entries, pagination } = await this.listEntries(store, filter, { limit: 50, ...options });
 
       return {
         success: true,
         data: {
-          entries: results,
+          entries,
           content_type: contentType,
-          total: results.length
+          total: entries.length,
+          pagination
         }
       };
     } catch (error) {
+      if (error instanceof ServiceError) {
+        throw error;
+      }
       console.error('Error getting entries by type:', error);
       throw new Error(`Failed to get entries by type: ${error.message}`);
     }
   }
 
   /**
-   * Get service statistics
+   * Get service statistics (across all users, so admin only)
    */
-  async getStats() {
+  async getStats(auth) {
     try {
-      await this.initialize();
+      const store = await this.tenantStore(auth);
+      assertAdmin(auth);
 
-      const totalEntries = await this.collection.estimatedDocumentCount();
+      const totalEntries = await store.estimatedDocumentCount();
       
-      // Get distribution by content type
-      const typeDistribution = await this.collection.aggregate([
-        {
-          $group: {
-            _id: '$content_type',
-            count: { $sum: 1 }
-          }
-        }
-      ]).toArray();
+      // Get distribution by content type (the Data API has no aggregation
+      // pipeline), from at most STATS_SCAN_LIMIT entries
+      const contentTypes = await store.find({}, {
+        projection: { content_type: 1 },
+        limit: STATS_SCAN_LIMIT
+      });
+      const counts = contentTypes.reduce((acc, { content_type }) => {
+        acc[content_type] = (acc[content_type] || 0) + 1;
+        return acc;
+      }, {});
+      const typeDistribution = Object.entries(counts).map(([type, count]) => ({ _id: type, count }));
 
       // Get recent activity (last 7 days)
       const sevenDaysAgo = new Date();
       sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
       
-      const recentEntries = await this.collection.countDocuments({
+      const recentEntries = await store.countDocuments({
         created_at: { $gte: sevenDaysAgo.toISOString() }
-      });
+      }, COUNT_UPPER_BOUND);
 
       return {
         success: true,
         data: {
           total_entries: totalEntries,
-          recent_entries: recentEntries,
+          ...(recentEntries === null
+            ? { recent_entries_exceeds: COUNT_UPPER_BOUND }
+            : { recent_entries: recentEntries }),
           content_type_distribution: typeDistribution,
+          scan_limit_reached: contentTypes.length === STATS_SCAN_LIMIT,
           last_updated: new Date().toISOString()
         }
       };
     } catch (error) {
+      if (error instanceof ServiceError) {
+        throw error;
+      }
       console.error('Error getting service stats:', error);
       throw new Error(`Failed to get service stats: ${error.message}`);
     }
@@ -0,0 +1,13 @@
+/**
+ * Error raised by services for caller mistakes, carrying the HTTP status the
+ * error handler should respond with (errorHandler reads `status`)
+ */
+class ServiceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ServiceError';
+    this.status = status;
+  }
+}
+
+module.exports = ServiceError;
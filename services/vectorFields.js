@@ -0,0 +1,52 @@
+const { vectorFields } = require('../config/embeddingSchema');
+
+/**
+ * Map an entry's public vector fields onto their storage fields
+ * (e.g. primary_embedding -> $vector) before it is written
+ */
+function toStorageDocument(entry) {
+  const document = { ...entry };
+
+  vectorFields.forEach(({ field, storageField }) => {
+    if (document[field] !== undefined) {
+      document[storageField] = document[field];
+      delete document[field];
+    }
+  });
+
+  return document;
+}
+
+/**
+ * Map a stored document back to the public entry shape
+ */
+function fromStorageDocument(document) {
+  if (!document) {
+    return document;
+  }
+
+  const entry = { ...document };
+
+  vectorFields.forEach(({ field, storageField }) => {
+    if (entry[storageField] !== undefined) {
+      entry[field] = entry[storageField];
+      delete entry[storageField];
+    }
+  });
+
+  return entry;
+}
+
+/**
+ * Projection that returns stored vectors along with every other field
+ */
+const withVectorsProjection = vectorFields.reduce((projection, { storageField }) => {
+  projection[storageField] = 1;
+  return projection;
+}, {});
+
+module.exports = {
+  toStorageDocument,
+  fromStorageDocument,
+  withVectorsProjection
+};
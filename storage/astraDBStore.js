@@ -0,0 +1,138 @@
+const astraClient = require('../config/astradb');
+
+/**
+ * Storage adapter backed by an AstraDB collection.
+ *
+ * Exposes the same promise-based interface as LocalVectorStore: cursors are
+ * drained with toArray() and vector sorting is passed as the `vector` option.
+ */
+class AstraDBStore {
+  constructor(collectionName, options = {}) {
+    this.collectionName = collectionName;
+    this.vectorOptions = options.vector || null;
+    this.collection = null;
+  }
+
+  async initialize() {
+    if (!this.collection) {
+      const db = await astraClient.getDatabase();
+      this.collection = db.collection(this.collectionName);
+      await this.ensureCollection();
+    }
+    return this.collection;
+  }
+
+  /**
+   * Ensure the collection exists, create if it doesn't
+   */
+  async ensureCollection() {
+    try {
+      // Try to get collection info by attempting a simple find operation
+      await this.collection.findOne({}, { projection: { _id: 1 } });
+      console.log(`✅ Collection ${this.collectionName} exists`);
+    } catch (error) {
+      if (error.message.includes('not found') || error.message.includes('Collection') ||
+          error.message.includes('does not exist')) {
+        console.log(`📝 Creating ${this.collectionName} collection...`);
+        try {
+          // Get the database instance to create collection
+          const db = await astraClient.getDatabase();
+
+          // Create collection with vector configuration
+          const newCollection = await db.createCollection(this.collectionName, {
+            ...(this.vectorOptions && { vector: this.vectorOptions })
+          });
+
+          console.log(`✅ Collection ${this.collectionName} created successfully`);
+
+          // Update the collection reference
+          this.collection = newCollection;
+        } catch (createError) {
+          console.error('❌ Failed to create collection:', createError.message);
+          // If collection already exists, just get it
+          if (createError.message.includes('already exists')) {
+            console.log('📝 Collection already exists, getting reference...');
+            const db = await astraClient.getDatabase();
+            this.collection = db.collection(this.collectionName);
+            console.log('✅ Collection reference updated');
+          } else {
+            throw new Error(`Failed to create collection: ${createError.message}`);
+          }
+        }
+      } else {
+        console.error('❌ Error checking collection:', error.message);
+        throw error;
+      }
+    }
+  }
+
+  async insertOne(document) {
+    return this.collection.insertOne(document);
+  }
+
+  async insertMany(documents) {
+    return this.collection.insertMany(documents, { ordered: true });
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [result] = await this.find(filter, { ...options, limit: 1 });
+    return result || null;
+  }
+
+  async find(filter = {}, options = {}) {
+    const { sort, vector, limit, skip, projection, includeSimilarity } = options;
+
+    const findOptions = {
+      ...(vector ? { sort: { $vector: vector } } : sort && { sort }),
+      ...(limit && { limit }),
+      ...(skip && { skip }),
+      ...(projection && { projection }),
+      ...(includeSimilarity && { includeSimilarity })
+    };
+
+    return this.collection.find(filter, findOptions).toArray();
+  }
+
+  async replaceOne(filter, replacement) {
+    return this.collection.replaceOne(filter, replacement);
+  }
+
+  async deleteOne(filter) {
+    return this.collection.deleteOne(filter);
+  }
+
+  /**
+   * Count matching documents. The Data API only counts up to `upperBound`
+   * (at most 1000), so larger sets resolve to null rather than a capped
+   * number that looks exact.
+   */
+  async countDocuments(filter = {}, upperBound = 1000) {
+    try {
+      return await this.collection.countDocuments(filter, upperBound);
+    } catch (error) {
+      if (error.name === 'TooManyDocumentsToCountError') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async estimatedDocumentCount() {
+    return this.collection.estimatedDocumentCount();
+  }
+
+  /**
+   * Vector options the existing collection was created with
+   */
+  async getVectorOptions() {
+    const options = await this.collection.options();
+    return options.vector || null;
+  }
+
+  async healthCheck() {
+    const healthStatus = await astraClient.healthCheck();
+    return { ...healthStatus, backend: 'astradb' };
+  }
+}
+
+module.exports = AstraDBStore;
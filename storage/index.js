@@ -0,0 +1,63 @@
+const AstraDBStore = require('./astraDBStore');
+const LocalVectorStore = require('./localVectorStore');
+
+const BACKENDS = {
+  astradb: AstraDBStore,
+  local: LocalVectorStore
+};
+
+const DEFAULT_COLLECTION = 'semantic_search';
+
+// One adapter instance per collection, shared across services
+const stores = new Map();
+
+/**
+ * Name of the configured storage backend (STORAGE_BACKEND, default "astradb")
+ */
+function getBackendName() {
+  return (process.env.STORAGE_BACKEND || 'astradb').toLowerCase();
+}
+
+/**
+ * Get the storage adapter for a collection, creating it on first use.
+ *
+ * Every adapter implements: initialize, insertOne, insertMany, findOne,
+ * find (filter + optional vector sort), replaceOne, deleteOne,
+ * countDocuments, estimatedDocumentCount, getVectorOptions and healthCheck.
+ * countDocuments(filter, upperBound) resolves null when more than
+ * upperBound (default 1000) documents match.
+ */
+function getStore(collectionName = DEFAULT_COLLECTION, options = {}) {
+  if (stores.has(collectionName)) {
+    return stores.get(collectionName);
+  }
+
+  const backend = getBackendName();
+  const Store = BACKENDS[backend];
+
+  if (!Store) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}". Expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+
+  const store = new Store(collectionName, {
+    ...options,
+    directory: process.env.LOCAL_STORE_DIR
+  });
+
+  stores.set(collectionName, store);
+  return store;
+}
+
+/**
+ * Drop cached adapters so the next getStore() re-reads configuration (used by tests)
+ */
+function resetStores() {
+  stores.clear();
+}
+
+module.exports = {
+  getStore,
+  getBackendName,
+  resetStores,
+  DEFAULT_COLLECTION
+};
@@ -0,0 +1,226 @@
+/**
+ * Query helpers for the local vector store.
+ *
+ * Implements the subset of the AstraDB Data API filter, sort and projection
+ * language that this service relies on, so documents behave the same way
+ * whichever backend is active.
+ */
+
+/**
+ * Resolve a dotted path (e.g. "linked_entities.people") against a document
+ */
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => {
+    if (value === null || value === undefined) {
+      return undefined;
+    }
+    return value[key];
+  }, doc);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (typeof a !== typeof b || a === null || b === null || typeof a !== 'object') {
+    return false;
+  }
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Order two scalar values; mixed types are ordered by type name so sorting is total
+ */
+function compareValues(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  if (a === undefined || a === null) {
+    return -1;
+  }
+  if (b === undefined || b === null) {
+    return 1;
+  }
+  if (typeof a !== typeof b) {
+    return typeof a < typeof b ? -1 : 1;
+  }
+  return a < b ? -1 : 1;
+}
+
+// Equality against an array field matches when any element is equal (Data API semantics)
+function matchesEquality(fieldValue, expected) {
+  if (Array.isArray(fieldValue) && !Array.isArray(expected)) {
+    return fieldValue.some(item => isEqual(item, expected));
+  }
+  return isEqual(fieldValue, expected);
+}
+
+function matchesRange(fieldValue, operator, expected) {
+  const values = Array.isArray(fieldValue) ? fieldValue : [fieldValue];
+
+  return values.some(value => {
+    if (value === undefined || value === null || typeof value !== typeof expected) {
+      return false;
+    }
+    const comparison = compareValues(value, expected);
+    switch (operator) {
+      case '$gt': return comparison > 0;
+      case '$gte': return comparison >= 0;
+      case '$lt': return comparison < 0;
+      case '$lte': return comparison <= 0;
+      default: return false;
+    }
+  });
+}
+
+function matchesOperators(fieldValue, operators) {
+  return Object.entries(operators).every(([operator, expected]) => {
+    switch (operator) {
+      case '$eq':
+        return matchesEquality(fieldValue, expected);
+      case '$ne':
+        return !matchesEquality(fieldValue, expected);
+      case '$in':
+        return expected.some(value => matchesEquality(fieldValue, value));
+      case '$nin':
+        return !expected.some(value => matchesEquality(fieldValue, value));
+      case '$all':
+        return Array.isArray(fieldValue) &&
+          expected.every(value => fieldValue.some(item => isEqual(item, value)));
+      case '$size':
+        return Array.isArray(fieldValue) && fieldValue.length === expected;
+      case '$exists':
+        return (fieldValue !== undefined) === Boolean(expected);
+      case '$gt':
+      case '$gte':
+      case '$lt':
+      case '$lte':
+        return matchesRange(fieldValue, operator, expected);
+      default:
+        throw new Error(`Unsupported filter operator: ${operator}`);
+    }
+  });
+}
+
+/**
+ * Test whether a document satisfies a Data API style filter
+ */
+function matchesFilter(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') {
+      return condition.every(subFilter => matchesFilter(doc, subFilter));
+    }
+    if (key === '$or') {
+      return condition.some(subFilter => matchesFilter(doc, subFilter));
+    }
+    if (key === '$not') {
+      return !matchesFilter(doc, condition);
+    }
+
+    const fieldValue = getPath(doc, key);
+
+    if (isPlainObject(condition) && Object.keys(condition).some(op => op.startsWith('$'))) {
+      return matchesOperators(fieldValue, condition);
+    }
+
+    return matchesEquality(fieldValue, condition);
+  });
+}
+
+/**
+ * Build a comparator from a Data API sort object, e.g. { created_at: -1, _id: -1 }
+ */
+function buildComparator(sort = {}) {
+  const keys = Object.entries(sort);
+
+  return (a, b) => {
+    for (const [path, direction] of keys) {
+      const comparison = compareValues(getPath(a, path), getPath(b, path));
+      if (comparison !== 0) {
+        return direction < 0 ? -comparison : comparison;
+      }
+    }
+    return 0;
+  };
+}
+
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  let current = target;
+
+  keys.slice(0, -1).forEach(key => {
+    if (!isPlainObject(current[key])) {
+      current[key] = {};
+    }
+    current = current[key];
+  });
+
+  current[keys[keys.length - 1]] = value;
+}
+
+function deletePath(target, path) {
+  const keys = path.split('.');
+  let current = target;
+
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(current[key])) {
+      return;
+    }
+    current = current[key];
+  }
+
+  delete current[keys[keys.length - 1]];
+}
+
+/**
+ * Apply an inclusion or exclusion projection. As with the Data API, `$vector`
+ * is only returned when explicitly requested and `_id` is kept unless excluded.
+ */
+function applyProjection(doc, projection) {
+  const entries = Object.entries(projection || {});
+  const inclusions = entries.filter(([path, flag]) => flag && path !== '_id' && path !== '$vector');
+
+  let result;
+
+  if (inclusions.length > 0) {
+    result = {};
+    inclusions.forEach(([path]) => {
+      const value = getPath(doc, path);
+      if (value !== undefined) {
+        setPath(result, path, structuredClone(value));
+      }
+    });
+    result._id = doc._id;
+  } else {
+    result = structuredClone(doc);
+    entries
+      .filter(([, flag]) => !flag)
+      .forEach(([path]) => deletePath(result, path));
+  }
+
+  if (projection && projection._id === 0) {
+    delete result._id;
+  }
+
+  if (projection && projection.$vector && doc.$vector !== undefined) {
+    result.$vector = structuredClone(doc.$vector);
+  } else {
+    delete result.$vector;
+  }
+
+  return result;
+}
+
+module.exports = {
+  getPath,
+  setPath,
+  deletePath,
+  isPlainObject,
+  matchesFilter,
+  buildComparator,
+  applyProjection
+};
@@ -0,0 +1,238 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { matchesFilter, buildComparator, applyProjection } = require('./localQuery');
+
+/**
+ * Cosine similarity between two vectors, 0 when either has no magnitude
+ */
+function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) {
+    return 0;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * In-process vector store with brute-force cosine search.
+ *
+ * Mirrors the AstraDBStore interface so the service can run on a laptop or in
+ * CI without a live database. When `directory` is set, the collection is
+ * loaded from and persisted to `<directory>/<collection>.json`.
+ */
+class LocalVectorStore {
+  constructor(collectionName, options = {}) {
+    this.collectionName = collectionName;
+    this.vectorOptions = options.vector || null;
+    this.filePath = options.directory
+      ? path.join(options.directory, `${collectionName}.json`)
+      : null;
+    this.documents = new Map();
+    this.isInitialized = false;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  async initialize() {
+    if (this.isInitialized) {
+      return;
+    }
+
+    if (this.filePath) {
+      try {
+        const raw = await fs.readFile(this.filePath, 'utf8');
+        const { vector, documents = [] } = JSON.parse(raw);
+        // An existing file keeps the vector options it was created with
+        if (vector) {
+          this.vectorOptions = vector;
+        }
+        documents.forEach(doc => this.documents.set(doc._id, doc));
+        console.log(`✅ Loaded ${documents.length} documents into local ${this.collectionName} collection`);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw new Error(`Failed to load local store from ${this.filePath}: ${error.message}`);
+        }
+        console.log(`📝 Creating local ${this.collectionName} collection at ${this.filePath}`);
+      }
+    }
+
+    this.isInitialized = true;
+  }
+
+  /**
+   * Serialize writes so concurrent requests never interleave partial files
+   */
+  async persist() {
+    if (!this.filePath) {
+      return;
+    }
+
+    const snapshot = JSON.stringify({
+      collection: this.collectionName,
+      vector: this.vectorOptions,
+      documents: Array.from(this.documents.values())
+    });
+
+    this.pendingWrite = this.pendingWrite.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tempPath, snapshot);
+      await fs.rename(tempPath, this.filePath);
+    });
+
+    return this.pendingWrite;
+  }
+
+  /**
+   * Reject vectors that don't match the collection dimension, as AstraDB does
+   */
+  assertVectorDimension(document) {
+    const dimension = this.vectorOptions && this.vectorOptions.dimension;
+
+    if (dimension && Array.isArray(document.$vector) && document.$vector.length !== dimension) {
+      throw new Error(`Vector has ${document.$vector.length} dimensions but collection ${this.collectionName} expects ${dimension}`);
+    }
+  }
+
+  async insertOne(document) {
+    this.assertVectorDimension(document);
+
+    if (this.documents.has(document._id)) {
+      const error = new Error(`Document already exists with the given _id: ${document._id}`);
+      error.code = 11000;
+      throw error;
+    }
+
+    this.documents.set(document._id, structuredClone(document));
+    await this.persist();
+
+    return { insertedId: document._id };
+  }
+
+  async insertMany(documents) {
+    documents.forEach(doc => this.assertVectorDimension(doc));
+
+    const duplicate = documents.find(doc => this.documents.has(doc._id));
+    if (duplicate) {
+      const error = new Error(`Document already exists with the given _id: ${duplicate._id}`);
+      error.code = 11000;
+      throw error;
+    }
+
+    documents.forEach(doc => this.documents.set(doc._id, structuredClone(doc)));
+    await this.persist();
+
+    return { insertedIds: documents.map(doc => doc._id), insertedCount: documents.length };
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [result] = await this.find(filter, { ...options, limit: 1 });
+    return result || null;
+  }
+
+  /**
+   * Find documents matching `filter`. With `vector`, results are ordered by
+   * cosine similarity to it, reported like AstraDB as (1 + cos) / 2.
+   */
+  async find(filter = {}, options = {}) {
+    const {
+      sort,
+      vector,
+      limit,
+      skip = 0,
+      projection,
+      includeSimilarity = false
+    } = options;
+
+    let matches = Array.from(this.documents.values()).filter(doc => matchesFilter(doc, filter));
+
+    if (vector) {
+      matches = matches
+        .filter(doc => Array.isArray(doc.$vector))
+        .map(doc => ({ doc, similarity: (1 + cosineSimilarity(vector, doc.$vector)) / 2 }))
+        .sort((a, b) => b.similarity - a.similarity)
+        .map(({ doc, similarity }) => (includeSimilarity ? { ...doc, $similarity: similarity } : doc));
+    } else if (sort) {
+      matches = matches.sort(buildComparator(sort));
+    }
+
+    const end = limit ? skip + limit : undefined;
+
+    return matches.slice(skip, end).map(doc => {
+      const projected = applyProjection(doc, projection);
+      if (doc.$similarity !== undefined) {
+        projected.$similarity = doc.$similarity;
+      }
+      return projected;
+    });
+  }
+
+  async replaceOne(filter, replacement) {
+    this.assertVectorDimension(replacement);
+
+    const [target] = Array.from(this.documents.values()).filter(doc => matchesFilter(doc, filter));
+
+    if (!target) {
+      return { matchedCount: 0, modifiedCount: 0 };
+    }
+
+    this.documents.set(target._id, structuredClone({ ...replacement, _id: target._id }));
+    await this.persist();
+
+    return { matchedCount: 1, modifiedCount: 1 };
+  }
+
+  async deleteOne(filter) {
+    const [target] = Array.from(this.documents.values()).filter(doc => matchesFilter(doc, filter));
+
+    if (!target) {
+      return { deletedCount: 0 };
+    }
+
+    this.documents.delete(target._id);
+    await this.persist();
+
+    return { deletedCount: 1 };
+  }
+
+  // Same contract as the AstraDB adapter: null past `upperBound`
+  async countDocuments(filter = {}, upperBound = 1000) {
+    const count = Array.from(this.documents.values()).filter(doc => matchesFilter(doc, filter)).length;
+    return count > upperBound ? null : count;
+  }
+
+  async estimatedDocumentCount() {
+    return this.documents.size;
+  }
+
+  async getVectorOptions() {
+    return this.vectorOptions;
+  }
+
+  async healthCheck() {
+    return {
+      status: 'healthy',
+      connected: this.isInitialized,
+      backend: 'local',
+      database: this.collectionName,
+      persisted: Boolean(this.filePath),
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = LocalVectorStore;
+module.exports.cosineSimilarity = cosineSimilarity;
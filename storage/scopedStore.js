@@ -0,0 +1,79 @@
+/**
+ * Storage adapter wrapper confining every operation to one tenant's
+ * documents: filters are combined with `{ [field]: value }`, and documents
+ * written through it must belong to the tenant. Exposes the adapter
+ * interface from storage/index.js, so services use it interchangeably.
+ */
+class ScopedStore {
+  constructor(store, field, value) {
+    if (value === undefined || value === null || value === '') {
+      throw new Error(`A scoped store needs a ${field} value`);
+    }
+    this.store = store;
+    this.field = field;
+    this.value = value;
+  }
+
+  scope(filter = {}) {
+    return Object.keys(filter).length === 0
+      ? { [this.field]: this.value }
+      : { $and: [filter, { [this.field]: this.value }] };
+  }
+
+  assertOwned(document) {
+    if (document[this.field] !== this.value) {
+      throw new Error(`Refusing to write a document outside the ${this.field} scope`);
+    }
+  }
+
+  async initialize() {
+    return this.store.initialize();
+  }
+
+  async insertOne(document) {
+    this.assertOwned(document);
+    return this.store.insertOne(document);
+  }
+
+  async insertMany(documents) {
+    documents.forEach(document => this.assertOwned(document));
+    return this.store.insertMany(documents);
+  }
+
+  async findOne(filter, options) {
+    return this.store.findOne(this.scope(filter), options);
+  }
+
+  async find(filter, options) {
+    return this.store.find(this.scope(filter), options);
+  }
+
+  async replaceOne(filter, replacement) {
+    this.assertOwned(replacement);
+    return this.store.replaceOne(this.scope(filter), replacement);
+  }
+
+  async deleteOne(filter) {
+    return this.store.deleteOne(this.scope(filter));
+  }
+
+  async countDocuments(filter, upperBound) {
+    return this.store.countDocuments(this.scope(filter), upperBound);
+  }
+
+  // The collection-wide estimate would leak other tenants' volume; like
+  // countDocuments this is null past the count bound
+  async estimatedDocumentCount() {
+    return this.store.countDocuments(this.scope());
+  }
+
+  async getVectorOptions() {
+    return this.store.getVectorOptions();
+  }
+
+  async healthCheck() {
+    return this.store.healthCheck();
+  }
+}
+
+module.exports = ScopedStore;
@@ -0,0 +1,145 @@
+process.env.STORAGE_BACKEND = 'local';
+process.env.AUTH_MODE = 'required';
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const { signJwt, verifyJwt } = require('../services/jwt');
+
+const USER_A = uuidv4();
+const USER_B = uuidv4();
+process.env.API_KEYS = `admin-key:admin,user-a-key:${USER_A}`;
+
+const app = require('../server');
+const semanticSearchService = require('../services/semanticSearchService');
+
+const API = '/api/semantic-search';
+
+const axisEmbedding = (axis) => Array.from({ length: 768 }, (_, i) => (i === axis ? 1 : 0));
+
+const buildEntry = (overrides = {}) => ({
+  ...generateMockSemanticEntry(),
+  entry_id: uuidv4(),
+  session_id: uuidv4(),
+  primary_embedding: axisEmbedding(0),
+  ...overrides
+});
+
+const inOneHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+const asAdmin = (req) => req.set('X-API-Key', 'admin-key');
+const asUserA = (req) => req.set('X-API-Key', 'user-a-key');
+
+describe('JWT verification', () => {
+  test('accepts valid HS256 tokens and rejects tampered, unsigned or expired ones', () => {
+    const token = signJwt({ sub: USER_A, exp: inOneHour() }, 'secret');
+    expect(verifyJwt(token, 'secret').sub).toBe(USER_A);
+
+    const [header, , signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: USER_B, exp: inOneHour() })).toString('base64url');
+    expect(() => verifyJwt(`${header}.${forged}.${signature}`, 'secret')).toThrow(/signature/);
+
+    const unsigned = Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url');
+    expect(() => verifyJwt(`${unsigned}.${forged}.`, 'secret')).toThrow(/algorithm/);
+
+    expect(() => verifyJwt(signJwt({ sub: USER_A, exp: 1 }, 'secret'), 'secret')).toThrow(/expired/);
+    expect(() => verifyJwt(signJwt({ sub: USER_A }, 'secret'), 'secret')).toThrow(/expiry/);
+  });
+});
+
+describe('Authentication', () => {
+  test('rejects requests without valid credentials', async () => {
+    await request(app).get(`${API}/users/${USER_A}/entries`).expect(401);
+    await request(app).get(`${API}/users/${USER_A}/entries`).set('X-API-Key', 'wrong').expect(401);
+
+    const expired = signJwt({ sub: USER_A, exp: 1 }, process.env.JWT_SECRET);
+    const response = await request(app)
+      .get(`${API}/users/${USER_A}/entries`)
+      .set('Authorization', `Bearer ${expired}`)
+      .expect(401);
+
+    expect(response.headers['www-authenticate']).toBe('Bearer');
+    expect(response.body.success).toBe(false);
+  });
+
+  test('accepts user and admin bearer tokens', async () => {
+    const userToken = signJwt({ sub: USER_A, exp: inOneHour() }, process.env.JWT_SECRET);
+    const adminToken = signJwt({ role: 'admin', exp: inOneHour() }, process.env.JWT_SECRET);
+
+    await request(app)
+      .get(`${API}/users/${USER_A}/entries`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    await request(app).get(`${API}/stats`).set('Authorization', `Bearer ${userToken}`).expect(403);
+    await request(app).get(`${API}/stats`).set('Authorization', `Bearer ${adminToken}`).expect(200);
+  });
+
+  test('only the role claim makes a bearer token admin', async () => {
+    const token = signJwt({ sub: 'admin', exp: inOneHour() }, process.env.JWT_SECRET);
+
+    await request(app).get(`${API}/stats`).set('Authorization', `Bearer ${token}`).expect(401);
+  });
+});
+
+describe('User-scoped authorization', () => {
+  let entryA;
+  let entryB;
+
+  beforeAll(async () => {
+    entryA = (await asUserA(request(app).post(`${API}/entries`)).send(buildEntry({ user_id: USER_A })).expect(201)).body.data.id;
+    entryB = (await asAdmin(request(app).post(`${API}/entries`)).send(buildEntry({ user_id: USER_B })).expect(201)).body.data.id;
+  });
+
+  test('user credentials cannot write entries for other users', async () => {
+    await asUserA(request(app).post(`${API}/entries`)).send(buildEntry({ user_id: USER_B })).expect(403);
+
+    const bulk = await asUserA(request(app).post(`${API}/entries/bulk`))
+      .send([buildEntry({ user_id: USER_A }), buildEntry({ user_id: USER_B })])
+      .expect(207);
+
+    expect(bulk.body.data.results.map(result => result.success)).toEqual([true, false]);
+
+    await asUserA(request(app).patch(`${API}/entries/${entryA}`)).send({ user_id: USER_B }).expect(403);
+  });
+
+  test("other users' entries look missing", async () => {
+    await asUserA(request(app).get(`${API}/entries/${entryB}`)).expect(404);
+    await asUserA(request(app).patch(`${API}/entries/${entryB}`)).send({ title: 'Mine now' }).expect(404);
+    await asUserA(request(app).delete(`${API}/entries/${entryB}`)).expect(404);
+    await asUserA(request(app).get(`${API}/entries/${entryB}/similar`)).expect(404);
+    await asUserA(request(app).put(`${API}/entries/${entryB}`)).send(buildEntry({ user_id: USER_A })).expect(404);
+
+    await asAdmin(request(app).get(`${API}/entries/${entryB}`)).expect(200);
+  });
+
+  test('searches and listings are limited to the caller', async () => {
+    const search = await asUserA(request(app).post(`${API}/search`))
+      .send({ embedding: axisEmbedding(0), limit: 100 })
+      .expect(200);
+
+    const owners = new Set(search.body.data.results.map(result => result.user_id));
+    expect([...owners]).toEqual([USER_A]);
+    expect(search.body.data.results.map(result => result._id)).toContain(entryA);
+
+    await asUserA(request(app).post(`${API}/search`)).send({ embedding: axisEmbedding(0), user_id: USER_B }).expect(403);
+    await asUserA(request(app).get(`${API}/users/${USER_B}/entries`)).expect(403);
+    await asUserA(request(app).get(`${API}/users/${USER_B}/entity-aliases`)).expect(403);
+
+    const byType = await asUserA(request(app).get(`${API}/content-types/journal_entry/entries`)).expect(200);
+    expect(byType.body.data.entries.every(entry => entry.user_id === USER_A)).toBe(true);
+  });
+
+  test('service storage is confined to the caller unless it is an admin', async () => {
+    const userStore = await semanticSearchService.tenantStore({ method: 'api_key', role: 'user', user_id: USER_A });
+    const adminStore = await semanticSearchService.tenantStore({ method: 'api_key', role: 'admin', user_id: null });
+
+    expect(await userStore.findOne({ _id: entryB })).toBeNull();
+    expect(await userStore.find({ user_id: USER_B })).toEqual([]);
+    expect((await userStore.deleteOne({ _id: entryB })).deletedCount).toBe(0);
+    await expect(userStore.insertOne({ _id: uuidv4(), user_id: USER_B })).rejects.toThrow(/scope/);
+
+    expect((await adminStore.findOne({ _id: entryB })).user_id).toBe(USER_B);
+    await expect(semanticSearchService.tenantStore(undefined)).rejects.toThrow(/principal/);
+  });
+});
@@ -0,0 +1,34 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+
+describe('Configuration from .env', () => {
+  test('is loaded before modules read it', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'semantic-env-'));
+    fs.writeFileSync(path.join(dir, '.env'), [
+      'STORAGE_BACKEND=local',
+      'JWT_SECRET=from-dotenv',
+      'DEFAULT_VECTOR_DIMENSIONS=1536'
+    ].join('\n'));
+
+    // Only the .env file configures the child process
+    const env = { ...process.env };
+    ['AUTH_MODE', 'API_KEYS', 'JWT_SECRET', 'STORAGE_BACKEND', 'DEFAULT_VECTOR_DIMENSIONS']
+      .forEach(name => delete env[name]);
+
+    const result = spawnSync(process.execPath, ['-e', `
+      require(${JSON.stringify(SERVER)});
+      const { primaryEmbedding } = require(${JSON.stringify(path.join(__dirname, '..', 'config', 'embeddingSchema'))});
+      process.stdout.write(JSON.stringify({ dimension: primaryEmbedding.dimension }));
+    `], { cwd: dir, env, encoding: 'utf8', timeout: 30000 });
+
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    expect(result.stderr).not.toMatch(/Authentication requires/);
+    expect(result.status).toBe(0);
+    expect(JSON.parse(result.stdout.trim().split('\n').pop())).toEqual({ dimension: 1536 });
+  });
+});
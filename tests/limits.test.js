@@ -0,0 +1,195 @@
+process.env.STORAGE_BACKEND = 'local';
+process.env.QUOTA_MAX_ENTRIES = '3';
+process.env.QUOTA_MAX_BYTES = '200000';
+process.env.QUOTA_SCAN_LIMIT = '5';
+
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const app = require('../server');
+const semanticSearchService = require('../services/semanticSearchService');
+const errorHandler = require('../middleware/errorHandler');
+const { rateLimit, MemoryRateLimitStore } = require('../middleware/rateLimit');
+const { MemoryIdempotencyStore } = require('../middleware/idempotency');
+
+const API = '/api/semantic-search';
+
+const buildEntry = (overrides = {}) => ({
+  ...generateMockSemanticEntry(),
+  entry_id: uuidv4(),
+  session_id: uuidv4(),
+  ...overrides
+});
+
+describe('Rate limiting', () => {
+  const limitedApp = () => {
+    const limited = express();
+    limited.use((req, res, next) => {
+      req.auth = { role: 'user', user_id: req.get('X-User') };
+      next();
+    });
+    limited.use(rateLimit({
+      store: new MemoryRateLimitStore(),
+      budgets: {
+        search: { windowMs: 60000, max: 2 },
+        write: { windowMs: 60000, max: 1 },
+        read: { windowMs: 60000, max: 5 }
+      }
+    }));
+    limited.all('*', (req, res) => res.json({ success: true }));
+    limited.use(errorHandler);
+    return limited;
+  };
+
+  test('sends RateLimit headers and answers 429 with Retry-After once a budget is spent', async () => {
+    const limited = limitedApp();
+
+    const first = await request(limited).post('/search').set('X-User', 'u1').expect(200);
+    expect(first.headers['ratelimit-limit']).toBe('2');
+    expect(first.headers['ratelimit-remaining']).toBe('1');
+    expect(first.headers['ratelimit-policy']).toBe('2;w=60');
+    expect(Number(first.headers['ratelimit-reset'])).toBeGreaterThan(0);
+
+    await request(limited).post('/search').set('X-User', 'u1').expect(200);
+    const limitedResponse = await request(limited).post('/search').set('X-User', 'u1').expect(429);
+
+    expect(limitedResponse.headers['ratelimit-remaining']).toBe('0');
+    expect(Number(limitedResponse.headers['retry-after'])).toBeGreaterThan(0);
+    expect(limitedResponse.body.success).toBe(false);
+  });
+
+  test('counts search, write and read budgets separately, per user', async () => {
+    const limited = limitedApp();
+
+    await request(limited).post('/entries').set('X-User', 'u1').expect(200);
+    await request(limited).post('/entries').set('X-User', 'u1').expect(429);
+    await request(limited).delete('/entries/abc').set('X-User', 'u1').expect(429);
+
+    await request(limited).get('/entries/abc/similar').set('X-User', 'u1').expect(200);
+    await request(limited).get('/entries/abc').set('X-User', 'u1').expect(200);
+    await request(limited).post('/entries').set('X-User', 'u2').expect(200);
+  });
+
+  test('the in-memory store starts a new window once the last one ends', async () => {
+    const store = new MemoryRateLimitStore();
+
+    expect((await store.increment('k', 1000)).count).toBe(1);
+    expect((await store.increment('k', 1000)).count).toBe(2);
+
+    store.windows.get('k').resetAt = Date.now() - 1;
+    expect((await store.increment('k', 1000)).count).toBe(1);
+  });
+
+  test('API responses carry rate limit headers', async () => {
+    const response = await request(app).get(`${API}/users/${uuidv4()}/entries`).expect(200);
+    expect(response.headers['ratelimit-limit']).toBeDefined();
+  });
+});
+
+describe('Idempotency store', () => {
+  test('sweeps expired records and keeps the newest ones', () => {
+    const store = new MemoryIdempotencyStore({ maxRecords: 2 });
+
+    store.set('expired', { expiresAt: Date.now() - 1 });
+    store.nextSweep = 0;
+    store.set('a', { expiresAt: Date.now() + 1000 });
+    expect(store.records.has('expired')).toBe(false);
+
+    store.set('b', { expiresAt: Date.now() + 1000 });
+    store.set('c', { expiresAt: Date.now() + 1000 });
+    expect(Array.from(store.records.keys())).toEqual(['b', 'c']);
+  });
+});
+
+describe('Storage quotas', () => {
+  test('rejects entries over the per-user entry quota and frees room on delete', async () => {
+    const userId = uuidv4();
+
+    const first = await request(app).post(`${API}/entries`).send(buildEntry({ user_id: userId })).expect(201);
+    await request(app).post(`${API}/entries`).send(buildEntry({ user_id: userId })).expect(201);
+
+    const bulk = await request(app)
+      .post(`${API}/entries/bulk`)
+      .send([buildEntry({ user_id: userId }), buildEntry({ user_id: userId })])
+      .expect(207);
+
+    expect(bulk.body.data.results.map(result => result.success)).toEqual([true, false]);
+    expect(bulk.body.data.results[1].error).toMatch(/at most 3 entries/);
+
+    const rejected = await request(app).post(`${API}/entries`).send(buildEntry({ user_id: userId })).expect(403);
+    expect(rejected.body.error).toMatch(/Storage quota exceeded/);
+
+    const usage = await request(app).get(`${API}/users/${userId}/usage`).expect(200);
+    expect(usage.body.data).toMatchObject({ user_id: userId, entries: 3, limits: { max_entries: 3, max_bytes: 200000 } });
+    expect(usage.body.data.bytes).toBeGreaterThan(0);
+
+    await request(app).delete(`${API}/entries/${first.body.data.id}`).expect(200);
+    await request(app).post(`${API}/entries`).send(buildEntry({ user_id: userId })).expect(201);
+  });
+
+  test('counts stored bytes, including growth on replace', async () => {
+    const userId = uuidv4();
+
+    const created = await request(app).post(`${API}/entries`).send(buildEntry({ user_id: userId })).expect(201);
+    const before = (await request(app).get(`${API}/users/${userId}/usage`)).body.data.bytes;
+
+    await request(app)
+      .put(`${API}/entries/${created.body.data.id}`)
+      .send(buildEntry({ user_id: userId, content: 'x'.repeat(200000) }))
+      .expect(403);
+
+    await request(app)
+      .patch(`${API}/entries/${created.body.data.id}`)
+      .send({ content: 'A longer replacement for the test content, which takes more room to store.' })
+      .expect(200);
+
+    const after = (await request(app).get(`${API}/users/${userId}/usage`)).body.data;
+    expect(after.entries).toBe(1);
+    expect(after.bytes).toBeGreaterThan(before);
+  });
+
+  test('admits concurrent writes for one user against up-to-date usage', async () => {
+    const userId = uuidv4();
+
+    const auth = { method: 'api_key', role: 'admin' };
+
+    const results = await Promise.allSettled(Array.from({ length: 6 }, () => (
+      semanticSearchService.createEntry(buildEntry({ user_id: userId }), auth)
+    )));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(3);
+    expect(results.filter(result => result.status === 'rejected').every(result => result.reason.status === 403)).toBe(true);
+
+    const usage = await request(app).get(`${API}/users/${userId}/usage`).expect(200);
+    expect(usage.body.data.entries).toBe(3);
+  });
+
+  test('refuses to seed usage from a scan cut short by QUOTA_SCAN_LIMIT', async () => {
+    const userId = uuidv4();
+    const store = await semanticSearchService.initialize();
+    await store.insertMany(Array.from({ length: 5 }, () => ({ _id: uuidv4(), user_id: userId })));
+
+    const usage = await request(app).get(`${API}/users/${userId}/usage`).expect(503);
+    expect(usage.body.error).toMatch(/QUOTA_SCAN_LIMIT/);
+
+    await request(app).post(`${API}/entries`).send(buildEntry({ user_id: userId })).expect(503);
+  });
+
+  test('counts entity alias backfills', async () => {
+    const userId = uuidv4();
+    const linked_entities = { people: ['Mom'], locations: [], events: [], topics: [] };
+
+    await request(app).post(`${API}/entries`).send(buildEntry({ user_id: userId, linked_entities })).expect(201);
+    const before = (await request(app).get(`${API}/users/${userId}/usage`)).body.data.bytes;
+
+    const created = await request(app)
+      .post(`${API}/users/${userId}/entity-aliases`)
+      .send({ kind: 'people', alias: 'Mom', canonical: 'Mother Dearest' })
+      .expect(201);
+
+    expect(created.body.backfill).toMatchObject({ updated: 1, over_quota: 0 });
+
+    const after = (await request(app).get(`${API}/users/${userId}/usage`)).body.data.bytes;
+    expect(after - before).toBe('Mother Dearest'.length - 'Mom'.length);
+  });
+});
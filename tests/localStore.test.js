@@ -0,0 +1,441 @@
+process.env.STORAGE_BACKEND = 'local';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const app = require('../server');
+const LocalVectorStore = require('../storage/localVectorStore');
+const ScopedStore = require('../storage/scopedStore');
+
+const API = '/api/semantic-search';
+
+const buildEntry = (overrides = {}) => ({
+  ...generateMockSemanticEntry(),
+  user_id: uuidv4(),
+  entry_id: uuidv4(),
+  session_id: uuidv4(),
+  ...overrides
+});
+
+describe('LocalVectorStore', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = new LocalVectorStore('test_collection');
+    await store.initialize();
+    await store.insertMany([
+      { _id: 'a', user_id: 'u1', tags: ['work', 'focus'], created_at: '2024-01-01', $vector: [1, 0] },
+      { _id: 'b', user_id: 'u1', tags: ['family'], created_at: '2024-02-01', $vector: [0, 1] },
+      { _id: 'c', user_id: 'u2', tags: ['work'], created_at: '2024-03-01', $vector: [1, 1] }
+    ]);
+  });
+
+  test('filters with equality, $in and range operators', async () => {
+    expect(await store.countDocuments({ user_id: 'u1' })).toBe(2);
+    expect(await store.countDocuments({ tags: { $in: ['work'] } })).toBe(2);
+    expect(await store.countDocuments({ created_at: { $gte: '2024-02-01' } })).toBe(2);
+    expect(await store.countDocuments({ $or: [{ _id: 'a' }, { user_id: 'u2' }] })).toBe(2);
+  });
+
+  test('counts exactly only up to the upper bound', async () => {
+    expect(await store.countDocuments({}, 3)).toBe(3);
+    expect(await store.countDocuments({}, 2)).toBeNull();
+  });
+
+  test('stats scan a bounded number of entries for the content type distribution', async () => {
+    const find = jest.spyOn(LocalVectorStore.prototype, 'find');
+
+    try {
+      await request(app).get(`${API}/stats`).expect(200);
+
+      const [, options] = find.mock.calls.find(([, options]) => options && options.projection && options.projection.content_type);
+      expect(options.limit).toBe(10000);
+    } finally {
+      find.mockRestore();
+    }
+  });
+
+  test('listings report total_exceeds instead of a capped total', async () => {
+    const userId = uuidv4();
+    const countDocuments = jest.spyOn(LocalVectorStore.prototype, 'countDocuments').mockResolvedValueOnce(null);
+
+    try {
+      const response = await request(app).get(`${API}/users/${userId}/entries?page=1`).expect(200);
+
+      expect(response.body.data.pagination).toMatchObject({ total_exceeds: 1000 });
+      expect(response.body.data.pagination).not.toHaveProperty('total');
+      expect(response.body.data.pagination).not.toHaveProperty('pages');
+    } finally {
+      countDocuments.mockRestore();
+    }
+  });
+
+  test('sorts by vector similarity and reports AstraDB-style scores', async () => {
+    const results = await store.find({}, { vector: [1, 0], includeSimilarity: true, limit: 2 });
+
+    expect(results.map(doc => doc._id)).toEqual(['a', 'c']);
+    expect(results[0].$similarity).toBeCloseTo(1);
+    expect(results[0]).not.toHaveProperty('$vector');
+  });
+
+  test('sorts, skips and limits by field', async () => {
+    const results = await store.find({}, { sort: { created_at: -1 }, skip: 1, limit: 1 });
+    expect(results.map(doc => doc._id)).toEqual(['b']);
+  });
+
+  test('replaces and deletes documents', async () => {
+    await store.replaceOne({ _id: 'a' }, { user_id: 'u3' });
+    expect((await store.findOne({ _id: 'a' })).user_id).toBe('u3');
+
+    expect((await store.deleteOne({ _id: 'a' })).deletedCount).toBe(1);
+    expect((await store.deleteOne({ _id: 'a' })).deletedCount).toBe(0);
+  });
+
+  test('rejects duplicate ids', async () => {
+    await expect(store.insertOne({ _id: 'a' })).rejects.toMatchObject({ code: 11000 });
+  });
+});
+
+describe('ScopedStore', () => {
+  let store;
+  let scoped;
+
+  beforeEach(async () => {
+    store = new LocalVectorStore('scoped_collection');
+    await store.initialize();
+    await store.insertMany([
+      { _id: 'a', user_id: 'u1', $vector: [1, 0] },
+      { _id: 'b', user_id: 'u2', $vector: [1, 0] }
+    ]);
+    scoped = new ScopedStore(store, 'user_id', 'u1');
+  });
+
+  test("never reads another tenant's documents, whatever the filter", async () => {
+    expect(await scoped.findOne({ _id: 'b' })).toBeNull();
+    expect(await scoped.find({ user_id: 'u2' })).toEqual([]);
+    expect((await scoped.find({ $or: [{ _id: 'a' }, { _id: 'b' }] })).map(doc => doc._id)).toEqual(['a']);
+    expect((await scoped.find({}, { vector: [1, 0], limit: 10 })).map(doc => doc._id)).toEqual(['a']);
+    expect(await scoped.countDocuments({})).toBe(1);
+    expect(await scoped.estimatedDocumentCount()).toBe(1);
+  });
+
+  test("never writes another tenant's documents", async () => {
+    expect((await scoped.deleteOne({ _id: 'b' })).deletedCount).toBe(0);
+    expect((await scoped.replaceOne({ _id: 'b' }, { user_id: 'u1' })).matchedCount).toBe(0);
+
+    await expect(scoped.insertOne({ _id: 'c', user_id: 'u2' })).rejects.toThrow(/scope/);
+    await expect(scoped.insertMany([{ _id: 'd', user_id: 'u1' }, { _id: 'e', user_id: 'u2' }])).rejects.toThrow(/scope/);
+    await expect(scoped.replaceOne({ _id: 'a' }, { user_id: 'u2' })).rejects.toThrow(/scope/);
+
+    expect((await store.findOne({ _id: 'b' })).user_id).toBe('u2');
+    expect(await store.findOne({ _id: 'd' })).toBeNull();
+  });
+});
+
+describe('API against the local store', () => {
+  test('supports the full entry lifecycle', async () => {
+    const entry = buildEntry();
+
+    const created = await request(app)
+      .post(`${API}/entries`)
+      .send(entry)
+      .expect(201);
+
+    const id = created.body.data.id;
+
+    const fetched = await request(app)
+      .get(`${API}/entries/${id}`)
+      .expect(200);
+
+    expect(fetched.body.data.title).toBe(entry.title);
+
+    await request(app)
+      .put(`${API}/entries/${id}`)
+      .send({ ...entry, title: 'Replaced title' })
+      .expect(200);
+
+    const listed = await request(app)
+      .get(`${API}/users/${entry.user_id}/entries`)
+      .expect(200);
+
+    expect(listed.body.data.entries).toHaveLength(1);
+    expect(listed.body.data.entries[0].title).toBe('Replaced title');
+    expect(listed.body.data.pagination.total).toBe(1);
+
+    const byType = await request(app)
+      .get(`${API}/content-types/journal_entry/entries?user_id=${entry.user_id}`)
+      .expect(200);
+
+    expect(byType.body.data.total).toBe(1);
+
+    await request(app)
+      .delete(`${API}/entries/${id}`)
+      .expect(200);
+
+    await request(app)
+      .get(`${API}/entries/${id}`)
+      .expect(404);
+  });
+
+  test('indexes primary_embedding for vector search', async () => {
+    const entry = buildEntry();
+
+    const created = await request(app)
+      .post(`${API}/entries`)
+      .send(entry)
+      .expect(201);
+
+    // Embeddings are only returned when requested
+    const fetched = await request(app)
+      .get(`${API}/entries/${created.body.data.id}?fields=primary_embedding`)
+      .expect(200);
+
+    expect(fetched.body.data.primary_embedding).toEqual(entry.primary_embedding);
+    expect(fetched.body.data).not.toHaveProperty('$vector');
+
+    const search = await request(app)
+      .post(`${API}/search`)
+      .send({ embedding: entry.primary_embedding, user_id: entry.user_id })
+      .expect(200);
+
+    expect(search.body.data.results).toHaveLength(1);
+    expect(search.body.data.results[0].entry_id).toBe(entry.entry_id);
+    expect(search.body.data.results[0].$similarity).toBeCloseTo(1);
+  });
+
+  test('applies PATCH updates with deep merge and array operations', async () => {
+    const entry = buildEntry();
+
+    const created = await request(app)
+      .post(`${API}/entries`)
+      .send(entry)
+      .expect(201);
+
+    const id = created.body.data.id;
+
+    const patched = await request(app)
+      .patch(`${API}/entries/${id}`)
+      .send({
+        title: 'Patched title',
+        emotion_context: { intensity: 0.2 },
+        add_tags: ['evening'],
+        remove_tags: ['test'],
+        add_linked_entities: { people: ['Alex'] },
+        created_at: '1999-01-01T00:00:00.000Z'
+      })
+      .expect(200);
+
+    const data = patched.body.data;
+    expect(data.title).toBe('Patched title');
+    expect(data.emotion_context).toEqual({ ...entry.emotion_context, intensity: 0.2 });
+    expect(data.tags).toEqual(['semantic', 'evening']);
+    expect(data.linked_entities.people).toEqual(['Test Person', 'Alex']);
+    expect(data.linked_entities.topics).toEqual(entry.linked_entities.topics);
+    expect(data).not.toHaveProperty('primary_embedding');
+    expect(data.created_at).toBe(entry.created_at);
+    expect(data.updated_at > entry.updated_at).toBe(true);
+
+    // The stored embedding is kept, though write responses leave it out
+    const fetched = await request(app)
+      .get(`${API}/entries/${id}?fields=primary_embedding,lightweight_embedding`)
+      .expect(200);
+
+    expect(fetched.body.data.primary_embedding).toEqual(entry.primary_embedding);
+    expect(fetched.body.data.lightweight_embedding).toEqual(entry.lightweight_embedding);
+
+    const tooManyTags = Array.from({ length: 20 }, (_, i) => `tag-${i}`);
+    await request(app)
+      .patch(`${API}/entries/${id}`)
+      .send({ add_tags: tooManyTags })
+      .expect(400);
+
+    await request(app)
+      .patch(`${API}/entries/${uuidv4()}`)
+      .send({ title: 'Missing' })
+      .expect(404);
+  });
+
+  test('bulk-creates entries from a JSON array with per-item results', async () => {
+    const userId = uuidv4();
+    const items = [
+      buildEntry({ user_id: userId }),
+      { ...buildEntry({ user_id: userId }), primary_embedding: [1, 2, 3] },
+      buildEntry({ user_id: userId })
+    ];
+
+    const response = await request(app)
+      .post(`${API}/entries/bulk`)
+      .send(items)
+      .expect(207);
+
+    expect(response.body.data).toMatchObject({ total: 3, succeeded: 2, failed: 1 });
+    expect(response.body.data.results[1]).toMatchObject({ index: 1, success: false, error: 'Validation failed' });
+    expect(response.body.data.results[1].details[0].field).toBe('primary_embedding');
+    expect(response.body.data.results[2]).toMatchObject({ index: 2, success: true, entry_id: items[2].entry_id });
+
+    const listed = await request(app)
+      .get(`${API}/users/${userId}/entries`)
+      .expect(200);
+
+    expect(listed.body.data.pagination.total).toBe(2);
+  });
+
+  test('bulk-creates entries from an NDJSON stream', async () => {
+    const items = [buildEntry(), buildEntry()];
+    const body = `${items.map(item => JSON.stringify(item)).join('\n')}\n{not json}\n`;
+
+    const response = await request(app)
+      .post(`${API}/entries/bulk`)
+      .set('Content-Type', 'application/x-ndjson')
+      .send(body)
+      .expect(207);
+
+    expect(response.body.data).toMatchObject({ total: 3, succeeded: 2, failed: 1 });
+    expect(response.body.data.results[2].error).toMatch(/Invalid JSON on line 3/);
+
+    await request(app)
+      .post(`${API}/entries/bulk`)
+      .send([])
+      .expect(400);
+  });
+
+  test('upserts on the user_id + entry_id natural key', async () => {
+    const entry = buildEntry();
+
+    const created = await request(app)
+      .put(`${API}/entries/by-entry/${entry.entry_id}`)
+      .send(entry)
+      .expect(201);
+
+    const replaced = await request(app)
+      .put(`${API}/entries/by-entry/${entry.entry_id}`)
+      .send({ ...entry, title: 'Retried write', created_at: new Date().toISOString() })
+      .expect(200);
+
+    expect(replaced.body.data.id).toBe(created.body.data.id);
+    expect(replaced.body.data.created_at).toBe(entry.created_at);
+
+    const listed = await request(app)
+      .get(`${API}/users/${entry.user_id}/entries`)
+      .expect(200);
+
+    expect(listed.body.data.pagination.total).toBe(1);
+    expect(listed.body.data.entries[0].title).toBe('Retried write');
+
+    await request(app)
+      .put(`${API}/entries/by-entry/${uuidv4()}`)
+      .send(entry)
+      .expect(400);
+  });
+
+  test('replays POST responses for a repeated Idempotency-Key', async () => {
+    const entry = buildEntry();
+    const key = uuidv4();
+
+    const first = await request(app)
+      .post(`${API}/entries`)
+      .set('Idempotency-Key', key)
+      .send(entry)
+      .expect(201);
+
+    const retry = await request(app)
+      .post(`${API}/entries`)
+      .set('Idempotency-Key', key)
+      .send(entry)
+      .expect(201);
+
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body.data.id).toBe(first.body.data.id);
+
+    await request(app)
+      .post(`${API}/entries`)
+      .set('Idempotency-Key', key)
+      .send({ ...entry, title: 'Different body' })
+      .expect(422);
+
+    const listed = await request(app)
+      .get(`${API}/users/${entry.user_id}/entries`)
+      .expect(200);
+
+    expect(listed.body.data.pagination.total).toBe(1);
+  });
+
+  test('counts usage without tracking bytes while quotas are off', async () => {
+    const entry = buildEntry();
+    await request(app).post(`${API}/entries`).send(entry).expect(201);
+
+    const usage = await request(app).get(`${API}/users/${entry.user_id}/usage`).expect(200);
+
+    expect(usage.body.data).toMatchObject({ entries: 1, bytes: null, limits: { max_entries: null, max_bytes: null } });
+  });
+
+  test('serves search, stats and health', async () => {
+    await request(app)
+      .post(`${API}/search`)
+      .send({ embedding: generateMockEmbedding(768), similarity_threshold: 0 })
+      .expect(200);
+
+    const stats = await request(app)
+      .get(`${API}/stats`)
+      .expect(200);
+
+    expect(stats.body.data).toHaveProperty('total_entries');
+    expect(stats.body.data.scan_limit_reached).toBe(false);
+
+    const health = await request(app)
+      .get(`${API}/health`)
+      .expect(200);
+
+    expect(health.body.database.backend).toBe('local');
+  });
+});
+
+describe('Embedding schema verification', () => {
+  test('refuses to start when the collection dimension does not match', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'semantic-search-'));
+    fs.writeFileSync(
+      path.join(directory, 'semantic_search.json'),
+      JSON.stringify({ vector: { dimension: 1536, metric: 'cosine' }, documents: [] })
+    );
+
+    process.env.LOCAL_STORE_DIR = directory;
+
+    try {
+      let service;
+      jest.isolateModules(() => {
+        service = require('../services/semanticSearchService');
+      });
+
+      await expect(service.initialize()).rejects.toThrow(
+        /1536-dimension cosine, but primary_embedding is configured as 768-dimension cosine/
+      );
+    } finally {
+      delete process.env.LOCAL_STORE_DIR;
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('checks the lightweight index collection at startup too', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'semantic-search-'));
+    fs.writeFileSync(
+      path.join(directory, 'semantic_search_lightweight.json'),
+      JSON.stringify({ vector: { dimension: 128, metric: 'cosine' }, documents: [] })
+    );
+
+    process.env.LOCAL_STORE_DIR = directory;
+
+    try {
+      let service;
+      jest.isolateModules(() => {
+        service = require('../services/semanticSearchService');
+      });
+
+      await expect(service.initialize()).rejects.toThrow(/384-dimension vector index for lightweight_embedding/);
+    } finally {
+      delete process.env.LOCAL_STORE_DIR;
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
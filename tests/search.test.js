@@ -0,0 +1,1221 @@
+process.env.STORAGE_BACKEND = 'local';
+process.env.EMBEDDING_PROVIDER = 'hashing';
+
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const app = require('../server');
+const semanticSearchService = require('../services/semanticSearchService');
+const lightweightIndex = require('../services/lightweightIndex');
+const { HashingEmbeddingProvider } = require('../services/embeddings');
+const { cosineSimilarity } = require('../storage/localVectorStore');
+const { tokenize, rankByKeywords } = require('../services/search/lexical');
+const { reciprocalRankFusion } = require('../services/search/rankFusion');
+const { maximalMarginalRelevance } = require('../services/search/mmr');
+const { rerank, legacyBoostProfile, validateRankingProfile } = require('../services/search/ranking');
+
+const API = '/api/semantic-search';
+
+// Unit vector along one axis, so similarities between fixtures are predictable
+const axisEmbedding = (axis, dimensions = 768) =>
+  Array.from({ length: dimensions }, (_, i) => (i === axis ? 1 : 0));
+
+const buildEntry = (overrides = {}) => ({
+  ...generateMockSemanticEntry(),
+  user_id: uuidv4(),
+  entry_id: uuidv4(),
+  session_id: uuidv4(),
+  ...overrides
+});
+
+const createEntries = async (entries) => {
+  const response = await request(app)
+    .post(`${API}/entries/bulk`)
+    .send(entries)
+    .expect(201);
+
+  return response.body.data.results.map(result => result.id);
+};
+
+describe('Keyword ranking', () => {
+  test('tokenizes names and drops stop words', () => {
+    expect(tokenize('Coffee with Dr. Okafor at the café')).toEqual(['coffee', 'dr', 'okafor', 'cafe']);
+  });
+
+  test('ranks rare terms and title matches above common ones', () => {
+    const entries = [
+      { _id: '1', title: 'Weekly review', content: 'project planning and project notes', tags: [] },
+      { _id: '2', title: 'Project Nightjar kickoff', content: 'planning notes', tags: [] },
+      { _id: '3', title: 'Groceries', content: 'milk and bread', tags: [] }
+    ];
+
+    const ranked = rankByKeywords(entries, 'nightjar project');
+
+    expect(ranked.map(({ entry }) => entry._id)).toEqual(['2', '1']);
+  });
+
+  test('fuses rankings with weighted reciprocal rank fusion', () => {
+    const fused = reciprocalRankFusion([
+      { name: 'vector', items: [{ _id: 'a' }, { _id: 'b' }], weight: 0.5 },
+      { name: 'keyword', items: [{ _id: 'b' }], weight: 0.5 }
+    ], 60);
+
+    expect(fused.map(({ item }) => item._id)).toEqual(['b', 'a']);
+    expect(fused[0].ranks).toEqual({ vector: 2, keyword: 1 });
+  });
+
+  test('leaves out lists weighted 0', () => {
+    const fused = reciprocalRankFusion([
+      { name: 'vector', items: [{ _id: 'a' }], weight: 1 },
+      { name: 'keyword', items: [{ _id: 'b' }, { _id: 'a' }], weight: 0 }
+    ], 60);
+
+    expect(fused.map(({ item }) => item._id)).toEqual(['a']);
+    expect(fused[0].ranks).toEqual({ vector: 1 });
+  });
+});
+
+describe('Maximal Marginal Relevance', () => {
+  const candidates = [
+    { _id: 'a1', $similarity: 1, session_id: 's1', primary_embedding: [1, 0] },
+    { _id: 'a2', $similarity: 0.99, session_id: 's1', primary_embedding: [1, 0] },
+    { _id: 'b', $similarity: 0.8, session_id: 's2', primary_embedding: [0.6, 0.8] }
+  ];
+
+  test('keeps relevance order when lambda is 1', () => {
+    const selected = maximalMarginalRelevance(candidates, { lambda: 1, limit: 2 });
+    expect(selected.map(c => c._id)).toEqual(['a1', 'a2']);
+  });
+
+  test('trades relevance for novelty as lambda decreases', () => {
+    const selected = maximalMarginalRelevance(candidates, { lambda: 0.3, limit: 2 });
+    expect(selected.map(c => c._id)).toEqual(['a1', 'b']);
+  });
+
+  test('treats entries sharing the diversify field as redundant', () => {
+    const sessionCandidates = [
+      { _id: 'a1', $similarity: 1, session_id: 's1', primary_embedding: [1, 0] },
+      { _id: 'a2', $similarity: 0.99, session_id: 's1', primary_embedding: [0.2, 0.98] },
+      { _id: 'b', $similarity: 0.8, session_id: 's2', primary_embedding: [0, 1] }
+    ];
+
+    const byVector = maximalMarginalRelevance(sessionCandidates, { lambda: 0.7, limit: 2 });
+    const bySession = maximalMarginalRelevance(sessionCandidates, { lambda: 0.7, limit: 2, field: 'session_id' });
+
+    expect(byVector.map(c => c._id)).toEqual(['a1', 'a2']);
+    expect(bySession.map(c => c._id)).toEqual(['a1', 'b']);
+  });
+
+  test('re-ranks a pool of hundreds of 768-d candidates quickly', () => {
+    const pool = Array.from({ length: 400 }, (_, i) => ({
+      _id: `c${i}`,
+      $similarity: 1 - i / 1000,
+      primary_embedding: Array.from({ length: 768 }, (_, d) => Math.sin(i * 7 + d))
+    }));
+
+    const started = Date.now();
+    const selected = maximalMarginalRelevance(pool, { lambda: 0.5, limit: 100 });
+
+    expect(selected).toHaveLength(100);
+    expect(new Set(selected.map(c => c._id)).size).toBe(100);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+});
+
+describe('Ranking profiles', () => {
+  const now = new Date('2026-06-01T00:00:00Z');
+  const daysAgo = days => new Date(now - days * 24 * 60 * 60 * 1000).toISOString();
+
+  test('recency decays by half every half-life', () => {
+    const profile = { stages: [{ type: 'recency', half_life_days: 10, weight: 0.2 }] };
+    const [fresh, old] = rerank([
+      { _id: 'old', $similarity: 0.5, created_at: daysAgo(10) },
+      { _id: 'fresh', $similarity: 0.5, created_at: daysAgo(0) }
+    ], profile, { now });
+
+    expect(fresh._id).toBe('fresh');
+    expect(fresh.$similarity).toBeCloseTo(0.7);
+    expect(old.$similarity).toBeCloseTo(0.6);
+    expect(old.$original_similarity).toBe(0.5);
+  });
+
+  test('combines tag, emotion, content-type and boost_factor stages', () => {
+    const profile = {
+      stages: [
+        { type: 'tag_match', weight: 0.2 },
+        { type: 'emotion_match', weight: 0.1 },
+        { type: 'content_type_weights', weights: { chat_message: 0.5 } },
+        { type: 'boost_factor' }
+      ]
+    };
+    const [result] = rerank([{
+      $similarity: 0.5,
+      content_type: 'journal_entry',
+      tags: ['Work', 'travel'],
+      emotion_context: { dominant_emotion: 'joy', intensity: 0.8 },
+      search_metadata: { boost_factor: 2 }
+    }], profile, { now, tags: ['work', 'family'], emotions: { joy: 1 } });
+
+    // (0.5 + 0.2 * 1/2 + 0.1 * 0.8) * 1 * 2
+    expect(result.$similarity).toBeCloseTo(1.36);
+
+    const [chat] = rerank([{ $similarity: 0.8, content_type: 'chat_message' }], profile, { now });
+    expect(chat.$similarity).toBeCloseTo(0.4);
+  });
+
+  test('blends the score with closeness to a target emotion profile', () => {
+    const profile = { stages: [{ type: 'emotion_profile', weight: 0.5 }] };
+    const calmJoy = { _id: 'calm', $similarity: 0.8, emotion_context: { emotions: { joy: 0.9, fear: 0.1 } } };
+    const anxious = { _id: 'anxious', $similarity: 0.9, emotion_context: { emotions: { joy: 0.1, fear: 0.9 } } };
+
+    const ranked = rerank([anxious, calmJoy], profile, { now, emotion_profile: { joy: 1, fear: 0 } });
+
+    expect(ranked.map(result => result._id)).toEqual(['calm', 'anxious']);
+    // 0.5 * 0.8 + 0.5 * (1 - (0.1 + 0.1) / 2)
+    expect(ranked[0].$similarity).toBeCloseTo(0.85);
+  });
+
+  test('legacy boost flags keep their original scoring', () => {
+    const [result] = rerank([{
+      $similarity: 0.6,
+      created_at: daysAgo(5),
+      search_metadata: { recency_weight: 0.8, user_preference_alignment: 0.9, boost_factor: 1.2 }
+    }], legacyBoostProfile({ boost_recent: true, boost_preferences: true }), { now });
+
+    const expected = (0.6 + Math.exp(-5 * 0.1) * 0.8 * 0.1 + 0.9 * 0.1) * 1.2;
+    expect(result.$similarity).toBeCloseTo(Math.min(expected, 1));
+  });
+
+  test('legacy boost flags treat zero search_metadata values as unset', () => {
+    const profile = legacyBoostProfile({ boost_recent: true, boost_preferences: true });
+    const entry = metadata => ({ $similarity: 0.6, created_at: daysAgo(5), search_metadata: metadata });
+
+    const [zeroed] = rerank([entry({ recency_weight: 0, user_preference_alignment: 0, boost_factor: 0 })], profile, { now });
+    const [unset] = rerank([entry({})], profile, { now });
+
+    expect(zeroed.$similarity).toBeCloseTo(0.6 + Math.exp(-5 * 0.1) * 0.5 * 0.1 + 0.5 * 0.1);
+    expect(zeroed.$similarity).toBeCloseTo(unset.$similarity);
+
+    // Explicit profiles take a zero at face value
+    const [explicit] = rerank([entry({ boost_factor: 0 })], { stages: [{ type: 'boost_factor' }] }, { now });
+    expect(explicit.$similarity).toBe(0);
+  });
+
+  test('rejects profiles with unknown stages', () => {
+    expect(() => validateRankingProfile('broken', { stages: [{ type: 'popularity' }] }))
+      .toThrow('unknown stage type "popularity"');
+  });
+});
+
+describe('Hashing embedding provider', () => {
+  test('is deterministic and places overlapping texts closer together', async () => {
+    const provider = new HashingEmbeddingProvider({ dimension: 768 });
+    const [a, again, related, unrelated] = await provider.embed([
+      'walking the dog by the lake',
+      'walking the dog by the lake',
+      'a long walk with the dog',
+      'quarterly tax paperwork'
+    ]);
+
+    expect(a).toHaveLength(768);
+    expect(again).toEqual(a);
+    expect(cosineSimilarity(a, related)).toBeGreaterThan(cosineSimilarity(a, unrelated));
+  });
+});
+
+describe('Text-only requests', () => {
+  test('embeds entries and queries sent without vectors', async () => {
+    const userId = uuidv4();
+    const { primary_embedding, model_version, ...textOnly } = buildEntry({
+      user_id: userId,
+      title: 'Sunset at the lake house',
+      content: 'Swimming with my sister until the sun went down.'
+    });
+
+    const created = await request(app)
+      .post(`${API}/entries`)
+      .send(textOnly)
+      .expect(201);
+
+    expect(created.body.data.model_version).toBe('hashing-v1-768');
+    expect(created.body.data).not.toHaveProperty('primary_embedding');
+
+    const fetched = await request(app)
+      .get(`${API}/entries/${created.body.data.id}?fields=primary_embedding`)
+      .expect(200);
+
+    expect(fetched.body.data.primary_embedding).toHaveLength(768);
+
+    await createEntries([
+      buildEntry({ user_id: userId, title: 'Budget review', content: 'Invoices and receipts.' })
+    ]);
+
+    const search = await request(app)
+      .post(`${API}/search`)
+      .send({ query_text: 'swimming at the lake with my sister', user_id: userId, similarity_threshold: 0 })
+      .expect(200);
+
+    expect(search.body.data.results[0]._id).toBe(created.body.data.id);
+  });
+
+  test('rejects text-only requests when no provider is configured', async () => {
+    semanticSearchService.setEmbeddingProvider(null);
+
+    try {
+      const response = await request(app)
+        .post(`${API}/search`)
+        .send({ query_text: 'anything' })
+        .expect(400);
+
+      expect(response.body.error).toMatch(/No embedding provider is configured/);
+    } finally {
+      semanticSearchService.setEmbeddingProvider(undefined);
+    }
+  });
+});
+
+describe('POST /search', () => {
+  test('hybrid mode surfaces exact name matches the vector query misses', async () => {
+    const userId = uuidv4();
+    const [closeId, namedId] = await createEntries([
+      buildEntry({ user_id: userId, title: 'Morning walk', primary_embedding: axisEmbedding(0) }),
+      buildEntry({
+        user_id: userId,
+        title: 'Appointment with Dr. Okafor',
+        content: 'Talked through the new treatment plan.',
+        primary_embedding: axisEmbedding(1)
+      })
+    ]);
+
+    const query = { embedding: axisEmbedding(0), user_id: userId };
+
+    const vectorOnly = await request(app)
+      .post(`${API}/search`)
+      .send(query)
+      .expect(200);
+
+    expect(vectorOnly.body.data.results.map(result => result._id)).toEqual([closeId]);
+
+    const hybrid = await request(app)
+      .post(`${API}/search`)
+      .send({ ...query, mode: 'hybrid', query_text: 'Dr. Okafor' })
+      .expect(200);
+
+    expect(hybrid.body.data.mode).toBe('hybrid');
+    const hybridIds = hybrid.body.data.results.map(result => result._id);
+    expect(hybridIds).toHaveLength(2);
+    expect(hybridIds).toEqual(expect.arrayContaining([closeId, namedId]));
+
+    const keywordHeavy = await request(app)
+      .post(`${API}/search`)
+      .send({ ...query, mode: 'hybrid', query_text: 'Dr. Okafor', hybrid_weight: 0.2 })
+      .expect(200);
+
+    expect(keywordHeavy.body.data.results[0]._id).toBe(namedId);
+
+    const vectorsOnly = await request(app)
+      .post(`${API}/search`)
+      .send({ ...query, mode: 'hybrid', query_text: 'Dr. Okafor', hybrid_weight: 1 })
+      .expect(200);
+
+    expect(vectorsOnly.body.data.results.map(result => result._id)).toEqual([closeId]);
+  });
+
+  test('re-ranks with a named ranking profile', async () => {
+    const userId = uuidv4();
+    const stale = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString();
+    const slightlyOff = axisEmbedding(0).map((value, i) => (i === 1 ? 0.2 : value));
+
+    const [oldId, recentId] = await createEntries([
+      buildEntry({ user_id: userId, primary_embedding: axisEmbedding(0), created_at: stale }),
+      buildEntry({ user_id: userId, primary_embedding: slightlyOff })
+    ]);
+
+    const query = { embedding: axisEmbedding(0), user_id: userId };
+
+    const plain = await request(app)
+      .post(`${API}/search`)
+      .send(query)
+      .expect(200);
+
+    expect(plain.body.data.ranking_profile).toBe('similarity');
+    expect(plain.body.data.results.map(result => result._id)).toEqual([oldId, recentId]);
+
+    const recentFirst = await request(app)
+      .post(`${API}/search`)
+      .send({ ...query, ranking_profile: 'recent_first' })
+      .expect(200);
+
+    expect(recentFirst.body.data.ranking_profile).toBe('recent_first');
+    expect(recentFirst.body.data.results.map(result => result._id)).toEqual([recentId, oldId]);
+
+    await request(app)
+      .post(`${API}/search`)
+      .send({ ...query, ranking_profile: 'no_such_profile' })
+      .expect(400);
+  });
+
+  test('explains each result\'s score and rank', async () => {
+    const userId = uuidv4();
+    const stale = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString();
+    const slightlyOff = axisEmbedding(0).map((value, i) => (i === 1 ? 0.2 : value));
+
+    const [oldId, recentId] = await createEntries([
+      buildEntry({ user_id: userId, primary_embedding: axisEmbedding(0), created_at: stale, tags: ['work'] }),
+      buildEntry({ user_id: userId, primary_embedding: slightlyOff, tags: ['work'] })
+    ]);
+
+    const response = await request(app)
+      .post(`${API}/search`)
+      .send({ embedding: axisEmbedding(0), user_id: userId, tags: ['work'], ranking_profile: 'recent_first', explain: true })
+      .expect(200);
+
+    const [first, second] = response.body.data.results;
+    expect(first._id).toBe(recentId);
+    expect(first.$explanation).toMatchObject({
+      ranking_profile: 'recent_first',
+      filters_matched: ['user_id', 'tags'],
+      rank_before: 2,
+      rank_after: 1
+    });
+    expect(first.$explanation.boosts.map(boost => boost.stage)).toEqual(['recency', 'boost_factor']);
+    expect(first.$explanation.vector_similarity + first.$explanation.boosts
+      .reduce((sum, boost) => sum + boost.contribution, 0)).toBeCloseTo(first.$explanation.final_score);
+
+    expect(second._id).toBe(oldId);
+    expect(second.$explanation).toMatchObject({ rank_before: 1, rank_after: 2 });
+    expect(response.body.data.explanation.candidates_above_threshold).toBe(2);
+
+    const plain = await request(app)
+      .post(`${API}/search`)
+      .send({ embedding: axisEmbedding(0), user_id: userId })
+      .expect(200);
+
+    expect(plain.body.data.results[0].$explanation).toBeUndefined();
+    expect(plain.body.data.explanation).toBeUndefined();
+  });
+
+  test('hybrid mode requires query_text', async () => {
+    await request(app)
+      .post(`${API}/search`)
+      .send({ embedding: axisEmbedding(0), mode: 'hybrid' })
+      .expect(400);
+  });
+});
+
+describe('GET /entries/:id/similar', () => {
+  test('reuses the stored embedding and excludes the source entry', async () => {
+    const userId = uuidv4();
+    const sessionId = uuidv4();
+    const blended = axisEmbedding(0).map((value, i) => (i === 1 ? 1 : value));
+
+    const [sourceId, sameSessionId, otherId] = await createEntries([
+      buildEntry({ user_id: userId, session_id: sessionId, primary_embedding: axisEmbedding(0) }),
+      buildEntry({ user_id: userId, session_id: sessionId, primary_embedding: axisEmbedding(0) }),
+      buildEntry({ user_id: userId, primary_embedding: blended }),
+      buildEntry({ primary_embedding: axisEmbedding(0) })
+    ]);
+
+    const similar = await request(app)
+      .get(`${API}/entries/${sourceId}/similar?similarity_threshold=0.8`)
+      .expect(200);
+
+    expect(similar.body.data.source_id).toBe(sourceId);
+    expect(similar.body.data.results.map(result => result._id)).toEqual([sameSessionId, otherId]);
+
+    const otherSessions = await request(app)
+      .get(`${API}/entries/${sourceId}/similar?similarity_threshold=0.8&exclude_same_session=true`)
+      .expect(200);
+
+    expect(otherSessions.body.data.results.map(result => result._id)).toEqual([otherId]);
+
+    await request(app)
+      .get(`${API}/entries/${uuidv4()}/similar`)
+      .expect(404);
+  });
+});
+
+describe('Diversified search', () => {
+  test('replaces near-duplicates with the next most relevant distinct entry', async () => {
+    const userId = uuidv4();
+    const sessionId = uuidv4();
+    const blended = axisEmbedding(0).map((value, i) => (i === 1 ? 1 : value));
+
+    const ids = await createEntries([
+      buildEntry({ user_id: userId, session_id: sessionId, primary_embedding: axisEmbedding(0) }),
+      buildEntry({ user_id: userId, session_id: sessionId, primary_embedding: axisEmbedding(0) }),
+      buildEntry({ user_id: userId, session_id: sessionId, primary_embedding: axisEmbedding(0) }),
+      buildEntry({ user_id: userId, primary_embedding: blended })
+    ]);
+
+    const query = { embedding: axisEmbedding(0), user_id: userId, limit: 2 };
+
+    const plain = await request(app)
+      .post(`${API}/search`)
+      .send(query)
+      .expect(200);
+
+    expect(plain.body.data.results.map(result => result._id)).not.toContain(ids[3]);
+
+    const diversified = await request(app)
+      .post(`${API}/search`)
+      .send({ ...query, diversify: { lambda: 0.3 } })
+      .expect(200);
+
+    expect(diversified.body.data.diversified).toBe(true);
+    expect(diversified.body.data.results).toHaveLength(2);
+    expect(diversified.body.data.results[1]._id).toBe(ids[3]);
+
+    const similar = await request(app)
+      .get(`${API}/entries/${ids[0]}/similar?limit=2&diversify_lambda=0.3`)
+      .expect(200);
+
+    expect(similar.body.data.results.map(result => result._id)).toEqual([ids[1], ids[3]]);
+  });
+});
+
+describe('Paginated search', () => {
+  test('pages through every entry above the threshold with a cursor', async () => {
+    const userId = uuidv4();
+    const tilted = (weight) => axisEmbedding(0).map((value, i) => (i === 1 ? weight : value));
+
+    const ids = await createEntries([
+      ...[0, 0.2, 0.4, 0.6, 0.8].map(weight =>
+        buildEntry({ user_id: userId, primary_embedding: tilted(weight) })),
+      buildEntry({ user_id: userId, primary_embedding: axisEmbedding(1) })
+    ]);
+
+    const query = { embedding: axisEmbedding(0), user_id: userId, limit: 2 };
+    const seen = [];
+    let cursor;
+
+    do {
+      const response = await request(app)
+        .post(`${API}/search`)
+        .send({ ...query, ...(cursor && { cursor }) })
+        .expect(200);
+
+      const { results, pagination } = response.body.data;
+      results.forEach(result => expect(result.$similarity).toBeGreaterThanOrEqual(0.7));
+      seen.push(...results.map(result => result._id));
+      cursor = pagination.next_cursor;
+    } while (cursor);
+
+    expect(seen).toEqual(ids.slice(0, 5));
+
+    const byOffset = await request(app)
+      .post(`${API}/search`)
+      .send({ ...query, offset: 4 })
+      .expect(200);
+
+    expect(byOffset.body.data.results.map(result => result._id)).toEqual([ids[4]]);
+    expect(byOffset.body.data.pagination).toEqual({ offset: 4, limit: 2, has_more: false, next_cursor: null });
+  });
+
+  test('rejects cursors issued for a different query', async () => {
+    const userId = uuidv4();
+    await createEntries([0, 1, 2].map(() =>
+      buildEntry({ user_id: userId, primary_embedding: axisEmbedding(0) })));
+
+    const first = await request(app)
+      .post(`${API}/search`)
+      .send({ embedding: axisEmbedding(0), user_id: userId, limit: 1 })
+      .expect(200);
+
+    const { next_cursor: cursor } = first.body.data.pagination;
+    expect(cursor).toEqual(expect.any(String));
+
+    await request(app)
+      .post(`${API}/search`)
+      .send({ embedding: axisEmbedding(0), user_id: userId, limit: 1, similarity_threshold: 0.9, cursor })
+      .expect(400);
+
+    await request(app)
+      .post(`${API}/search`)
+      .send({ embedding: axisEmbedding(0), user_id: userId, offset: 1, cursor })
+      .expect(400);
+  });
+});
+
+describe('Time filters', () => {
+  test('filter search and listings by date range and temporal context', async () => {
+    const userId = uuidv4();
+    const entryAt = (created_at, hour_of_day, day_of_week) => buildEntry({
+      user_id: userId,
+      created_at,
+      primary_embedding: axisEmbedding(0),
+      temporal_context: { hour_of_day, day_of_week, is_weekend: day_of_week === 0 || day_of_week === 6 }
+    });
+
+    const [saturdayNight, mondayMorning, sundayLateNight, marchEvening] = await createEntries([
+      entryAt('2026-05-02T23:00:00.000Z', 23, 6),
+      entryAt('2026-05-04T08:00:00.000Z', 8, 1),
+      entryAt('2026-05-10T01:00:00.000Z', 1, 0),
+      entryAt('2026-03-14T19:00:00.000Z', 19, 6)
+    ]);
+
+    const search = async (filters) => {
+      const response = await request(app)
+        .post(`${API}/search`)
+        .send({ embedding: axisEmbedding(0), user_id: userId, ...filters })
+        .expect(200);
+      return response.body.data.results.map(result => result._id).sort();
+    };
+
+    expect(await search({ hour_from: 22, hour_to: 2, is_weekend: true }))
+      .toEqual([saturdayNight, sundayLateNight].sort());
+    expect(await search({ hour_from: 18, is_weekend: true, created_after: '2026-04-01T00:00:00Z' }))
+      .toEqual([saturdayNight]);
+    expect(await search({ days_of_week: [1] })).toEqual([mondayMorning]);
+
+    const listed = await request(app)
+      .get(`${API}/users/${userId}/entries?created_after=2026-05-01T00:00:00Z&created_before=2026-05-05T00:00:00Z`)
+      .expect(200);
+
+    expect(listed.body.data.entries.map(entry => entry._id)).toEqual([mondayMorning, saturdayNight]);
+    expect(listed.body.data.pagination.total).toBe(2);
+
+    const byType = await request(app)
+      .get(`${API}/content-types/journal_entry/entries?user_id=${userId}&created_before=2026-04-01T00:00:00Z`)
+      .expect(200);
+
+    expect(byType.body.data.entries.map(entry => entry._id)).toEqual([marchEvening]);
+
+    await request(app)
+      .get(`${API}/users/${userId}/entries?created_after=2026-05-05T00:00:00Z&created_before=2026-05-01T00:00:00Z`)
+      .expect(400);
+  });
+
+  test('stores timestamps as canonical UTC so offsets filter and sort correctly', async () => {
+    const userId = uuidv4();
+    const entryAt = (created_at) => buildEntry({ user_id: userId, created_at, updated_at: created_at });
+
+    // 03:30 UTC on May 2nd and 23:00 UTC on May 1st
+    const [withOffset, withoutMillis] = await createEntries([
+      entryAt('2026-05-02T09:00:00+05:30'),
+      entryAt('2026-05-01T23:00:00Z')
+    ]);
+
+    const listed = await request(app)
+      .get(`${API}/users/${userId}/entries?created_after=2026-05-02T00:00:00Z`)
+      .expect(200);
+
+    expect(listed.body.data.entries.map(entry => entry._id)).toEqual([withOffset]);
+    expect(listed.body.data.entries[0].created_at).toBe('2026-05-02T03:30:00.000Z');
+
+    const all = await request(app).get(`${API}/users/${userId}/entries?sort_order=asc`).expect(200);
+    expect(all.body.data.entries.map(entry => entry._id)).toEqual([withoutMillis, withOffset]);
+
+    await request(app).post(`${API}/entries`).send(entryAt('yesterday')).expect(400);
+  });
+});
+
+describe('Emotion-aware search', () => {
+  test('filters by dominant emotion and intensity and ranks by emotion profile', async () => {
+    const userId = uuidv4();
+    const feeling = (dominant_emotion, intensity, emotions) => buildEntry({
+      user_id: userId,
+      primary_embedding: axisEmbedding(0),
+      emotion_context: { dominant_emotion, intensity, emotions }
+    });
+
+    const [anxiousId, calmId, mildId] = await createEntries([
+      feeling('fear', 0.9, { joy: 0.1, fear: 0.9 }),
+      feeling('joy', 0.7, { joy: 0.8, fear: 0.0 }),
+      feeling('joy', 0.2, { joy: 0.2, fear: 0.1 })
+    ]);
+
+    const search = async (options) => {
+      const response = await request(app)
+        .post(`${API}/search`)
+        .send({ embedding: axisEmbedding(0), user_id: userId, ...options })
+        .expect(200);
+      return response.body.data.results.map(result => result._id);
+    };
+
+    expect((await search({ dominant_emotion: ['joy'] })).sort()).toEqual([calmId, mildId].sort());
+    expect(await search({ dominant_emotion: ['joy'], min_intensity: 0.5 })).toEqual([calmId]);
+    expect(await search({ emotion_profile: { joy: 1, fear: 0 }, emotion_weight: 0.5 }))
+      .toEqual([calmId, mildId, anxiousId]);
+
+    await request(app)
+      .post(`${API}/search`)
+      .send({ embedding: axisEmbedding(0), emotion_profile: { calm: 1 } })
+      .expect(400);
+  });
+});
+
+describe('Linked entities', () => {
+  test('lists and searches entries by linked entity', async () => {
+    const userId = uuidv4();
+    const linked = (people, locations, axis = 0) => buildEntry({
+      user_id: userId,
+      primary_embedding: axisEmbedding(axis),
+      linked_entities: { people, locations, events: [], topics: [] }
+    });
+
+    const [alexLake, alexWork, samLake, nobody] = await createEntries([
+      linked(['Alex', 'Sam'], ['lake house']),
+      linked(['Alex'], ['office'], 1),
+      linked(['Sam'], ['lake house']),
+      linked([], ['office'])
+    ]);
+
+    const alex = await request(app)
+      .get(`${API}/users/${userId}/entities/people/Alex/entries`)
+      .expect(200);
+
+    expect(alex.body.data.entity).toEqual({ kind: 'people', name: 'Alex' });
+    expect(alex.body.data.entries.map(entry => entry._id).sort()).toEqual([alexLake, alexWork].sort());
+
+    const lakeHouse = await request(app)
+      .get(`${API}/users/${userId}/entities/locations/${encodeURIComponent('lake house')}/entries`)
+      .expect(200);
+
+    expect(lakeHouse.body.data.pagination.total).toBe(2);
+
+    const search = async (filters) => {
+      const response = await request(app)
+        .post(`${API}/search`)
+        .send({ embedding: axisEmbedding(0), user_id: userId, similarity_threshold: 0, ...filters })
+        .expect(200);
+      return response.body.data.results.map(result => result._id);
+    };
+
+    // Vector ranking within the entity set: the off-axis entry comes last
+    expect(await search({ required_entities: { people: ['Alex'] } })).toEqual([alexLake, alexWork]);
+    expect(await search({ required_entities: { people: ['Alex', 'Sam'] } })).toEqual([alexLake]);
+    expect((await search({ any_entities: { people: ['Sam'], locations: ['cabin'] } })).sort())
+      .toEqual([alexLake, samLake].sort());
+
+    await request(app)
+      .get(`${API}/users/${userId}/entities/pets/Rex/entries`)
+      .expect(400);
+  });
+
+  test('builds the entity co-occurrence graph for a user', async () => {
+    const userId = uuidv4();
+    const linked = (created_at, people, locations, content_type = 'journal_entry') => buildEntry({
+      user_id: userId,
+      created_at,
+      content_type,
+      linked_entities: { people, locations, events: [], topics: [] }
+    });
+
+    await createEntries([
+      linked('2026-01-05T10:00:00.000Z', ['Alex', 'Sam'], ['lake house']),
+      linked('2026-02-10T10:00:00.000Z', ['Alex', 'Sam', 'Alex'], []),
+      linked('2026-03-15T10:00:00.000Z', ['Alex'], ['office'], 'chat_message')
+    ]);
+
+    const graph = await request(app)
+      .get(`${API}/users/${userId}/entity-graph`)
+      .expect(200);
+
+    const { nodes, edges, entries_scanned } = graph.body.data;
+    expect(entries_scanned).toBe(3);
+    expect(nodes[0]).toEqual({
+      id: 'people:Alex',
+      kind: 'people',
+      name: 'Alex',
+      mentions: 3,
+      first_seen: '2026-01-05T10:00:00.000Z',
+      last_seen: '2026-03-15T10:00:00.000Z'
+    });
+    expect(edges[0]).toEqual({ source: 'people:Alex', target: 'people:Sam', weight: 2 });
+    expect(edges).toHaveLength(4);
+
+    const filtered = await request(app)
+      .get(`${API}/users/${userId}/entity-graph?content_type=journal_entry&created_after=2026-02-01T00:00:00Z`)
+      .expect(200);
+
+    expect(filtered.body.data.nodes.map(node => node.id)).toEqual(['people:Alex', 'people:Sam']);
+    expect(filtered.body.data.edges).toEqual([{ source: 'people:Alex', target: 'people:Sam', weight: 1 }]);
+
+    const strong = await request(app)
+      .get(`${API}/users/${userId}/entity-graph?min_weight=2&kinds=people`)
+      .expect(200);
+
+    expect(strong.body.data.edges).toEqual([{ source: 'people:Alex', target: 'people:Sam', weight: 2 }]);
+  });
+});
+
+describe('Entity aliases', () => {
+  test('normalizes entity names on ingest and backfills existing entries', async () => {
+    const userId = uuidv4();
+    const mentioning = (...people) => buildEntry({
+      user_id: userId,
+      linked_entities: { people, locations: [], events: [], topics: [] }
+    });
+
+    const [momId, lowerId, motherId] = await createEntries([
+      mentioning('Mom'),
+      mentioning('mom', 'Alex'),
+      mentioning('Mother')
+    ]);
+
+    const created = await request(app)
+      .post(`${API}/users/${userId}/entity-aliases`)
+      .send({ kind: 'people', alias: 'Mother', canonical: 'Mom' })
+      .expect(201);
+
+    expect(created.body.data).toMatchObject({ kind: 'people', alias: 'Mother', canonical: 'Mom' });
+    expect(created.body.backfill).toMatchObject({ scanned: 3, updated: 2 });
+
+    const moms = await request(app)
+      .get(`${API}/users/${userId}/entities/people/Mom/entries`)
+      .expect(200);
+
+    expect(moms.body.data.entries.map(entry => entry._id).sort()).toEqual([momId, lowerId, motherId].sort());
+
+    // Lookups and filters by an alias find the canonical name's entries
+    const mothers = await request(app)
+      .get(`${API}/users/${userId}/entities/people/Mother/entries`)
+      .expect(200);
+
+    expect(mothers.body.data.entries).toHaveLength(3);
+
+    const searched = await request(app)
+      .post(`${API}/search`)
+      .send({ embedding: axisEmbedding(0), user_id: userId, any_entities: { people: ['mother'] }, similarity_threshold: 0 })
+      .expect(200);
+
+    expect(searched.body.data.results).toHaveLength(3);
+
+    const ingested = await request(app)
+      .post(`${API}/entries`)
+      .send(mentioning('MOTHER', 'Alex', 'mom'))
+      .expect(201);
+
+    expect(ingested.body.data.linked_entities.people).toEqual(['Mom', 'Alex']);
+
+    await request(app)
+      .post(`${API}/users/${userId}/entity-aliases`)
+      .send({ kind: 'people', alias: 'mother', canonical: 'Mum' })
+      .expect(409);
+
+    const merged = await request(app)
+      .post(`${API}/users/${userId}/entities/people/merge`)
+      .send({ from: ['Mom'], into: 'Mum' })
+      .expect(200);
+
+    expect(merged.body.data.canonical).toBe('Mum');
+    expect(merged.body.backfill.updated).toBe(4);
+
+    const aliases = await request(app)
+      .get(`${API}/users/${userId}/entity-aliases?kind=people`)
+      .expect(200);
+
+    expect(aliases.body.data.aliases.map(alias => [alias.alias, alias.canonical]))
+      .toEqual([['Mom', 'Mum'], ['Mother', 'Mum']]);
+
+    await request(app)
+      .delete(`${API}/users/${userId}/entity-aliases/${created.body.data._id}`)
+      .expect(200);
+
+    await request(app)
+      .delete(`${API}/users/${userId}/entity-aliases/${created.body.data._id}`)
+      .expect(404);
+  });
+
+  test('reports a failed backfill without failing the stored alias change', async () => {
+    const userId = uuidv4();
+    const backfill = jest.spyOn(semanticSearchService, 'backfillEntityAliases')
+      .mockRejectedValueOnce(new Error('Collection unavailable'));
+
+    try {
+      const created = await request(app)
+        .post(`${API}/users/${userId}/entity-aliases`)
+        .send({ kind: 'people', alias: 'Mother', canonical: 'Mom' })
+        .expect(201);
+
+      expect(created.body.data).toMatchObject({ alias: 'Mother', canonical: 'Mom' });
+      expect(created.body.backfill).toEqual({ status: 'failed', error: 'Collection unavailable' });
+    } finally {
+      backfill.mockRestore();
+    }
+
+    const retried = await request(app)
+      .post(`${API}/users/${userId}/entities/people/merge`)
+      .send({ from: ['Mother'], into: 'Mom' })
+      .expect(200);
+
+    expect(retried.body.backfill).toMatchObject({ status: 'completed', scanned: 0, updated: 0 });
+  });
+
+  test('resolves aliases in PATCH add and remove operations', async () => {
+    const userId = uuidv4();
+
+    await request(app)
+      .post(`${API}/users/${userId}/entity-aliases`)
+      .send({ kind: 'people', alias: 'mom', canonical: 'Mom' })
+      .expect(201);
+
+    const [id] = await createEntries([buildEntry({
+      user_id: userId,
+      linked_entities: { people: ['mom', 'Alex'], locations: [], events: [], topics: [] }
+    })]);
+
+    const removed = await request(app)
+      .patch(`${API}/entries/${id}`)
+      .send({ remove_linked_entities: { people: ['mom'] } })
+      .expect(200);
+
+    expect(removed.body.data.linked_entities.people).toEqual(['Alex']);
+
+    const added = await request(app)
+      .patch(`${API}/entries/${id}`)
+      .send({ add_linked_entities: { people: ['mom', 'Mom'] } })
+      .expect(200);
+
+    expect(added.body.data.linked_entities.people).toEqual(['Alex', 'Mom']);
+  });
+});
+
+describe('Sessions', () => {
+  test('returns a conversation in chronological order', async () => {
+    const sessionId = uuidv4();
+    const userId = uuidv4();
+    const message = (created_at, message_type) => buildEntry({
+      user_id: userId,
+      session_id: sessionId,
+      content_type: 'chat_message',
+      message_type,
+      created_at
+    });
+
+    const [second, first, third] = await createEntries([
+      message('2026-05-01T10:01:00.000Z', 'assistant_message'),
+      message('2026-05-01T10:00:00.000Z', 'user_message'),
+      message('2026-05-01T10:02:00.000Z', 'user_message')
+    ]);
+
+    const page = await request(app)
+      .get(`${API}/sessions/${sessionId}/entries?limit=2`)
+      .expect(200);
+
+    expect(page.body.data.entries.map(entry => entry._id)).toEqual([first, second]);
+    expect(page.body.data.pagination).toEqual({ page: 1, limit: 2, total: 3, pages: 2 });
+
+    const userMessages = await request(app)
+      .get(`${API}/sessions/${sessionId}/entries?message_type=user_message`)
+      .expect(200);
+
+    expect(userMessages.body.data.entries.map(entry => entry._id)).toEqual([first, third]);
+  });
+
+  test('pages messages sharing a timestamp without repeats or gaps', async () => {
+    const sessionId = uuidv4();
+    const userId = uuidv4();
+    const ids = await createEntries(Array.from({ length: 5 }, () => buildEntry({
+      user_id: userId,
+      session_id: sessionId,
+      created_at: '2026-05-01T10:00:00.000Z'
+    })));
+
+    const paged = [];
+    for (let page = 1; page <= 3; page++) {
+      const response = await request(app)
+        .get(`${API}/sessions/${sessionId}/entries?limit=2&page=${page}`)
+        .expect(200);
+      paged.push(...response.body.data.entries.map(entry => entry._id));
+    }
+
+    expect(paged).toEqual([...ids].sort());
+  });
+
+  test('groups search hits into whole sessions', async () => {
+    const userId = uuidv4();
+    const [sessionA, sessionB] = [uuidv4(), uuidv4()];
+    const message = (session_id, created_at, axis) => buildEntry({
+      user_id: userId,
+      session_id,
+      created_at,
+      primary_embedding: axisEmbedding(axis)
+    });
+
+    const [aOpening, aMatch, aFollowUp, bMatch] = await createEntries([
+      message(sessionA, '2026-05-01T10:00:00.000Z', 2),
+      message(sessionA, '2026-05-01T10:01:00.000Z', 0),
+      message(sessionA, '2026-05-01T10:02:00.000Z', 0),
+      message(sessionB, '2026-05-02T10:00:00.000Z', 0)
+    ]);
+
+    const response = await request(app)
+      .post(`${API}/search`)
+      .send({ embedding: axisEmbedding(0), user_id: userId, group_by: 'session' })
+      .expect(200);
+
+    const { results, group_by } = response.body.data;
+    expect(group_by).toBe('session');
+    expect(results.map(group => group.session_id).sort()).toEqual([sessionA, sessionB].sort());
+
+    const groupA = results.find(group => group.session_id === sessionA);
+    expect(groupA.match_count).toBe(2);
+    expect(groupA.entries.map(entry => entry._id)).toEqual([aOpening, aMatch, aFollowUp]);
+    expect(groupA.entries.map(entry => entry.$matched)).toEqual([false, true, true]);
+    expect(groupA.entries.filter(entry => entry.$best_match).map(entry => entry._id)).toEqual([groupA.best_match_id]);
+
+    const groupB = results.find(group => group.session_id === sessionB);
+    expect(groupB.entries.map(entry => entry._id)).toEqual([bMatch]);
+  });
+});
+
+describe('Listing pagination', () => {
+  test('pages user and content-type listings with stable cursors', async () => {
+    const userId = uuidv4();
+    const createdAt = ['2026-05-03T00:00:00.000Z', '2026-05-02T00:00:00.000Z', '2026-05-02T00:00:00.000Z', '2026-05-01T00:00:00.000Z'];
+    const ids = await createEntries(createdAt.map(created_at => buildEntry({ user_id: userId, created_at })));
+
+    const first = await request(app)
+      .get(`${API}/users/${userId}/entries?limit=2&include_total=false`)
+      .expect(200);
+
+    expect(first.body.data.pagination).toEqual({
+      limit: 2,
+      page: 1,
+      has_more: true,
+      next_cursor: expect.any(String)
+    });
+
+    // An entry inserted between pages doesn't shift the next page
+    await createEntries([buildEntry({ user_id: userId, created_at: '2026-05-04T00:00:00.000Z' })]);
+
+    const second = await request(app)
+      .get(`${API}/users/${userId}/entries?limit=2&include_total=false&cursor=${first.body.data.pagination.next_cursor}`)
+      .expect(200);
+
+    const seen = [...first.body.data.entries, ...second.body.data.entries].map(entry => entry._id);
+    expect(seen).toHaveLength(4);
+    expect(new Set(seen)).toEqual(new Set(ids));
+    expect(seen[0]).toBe(ids[0]);
+    expect(seen[3]).toBe(ids[3]);
+    expect(second.body.data.pagination).toMatchObject({ has_more: false, next_cursor: null });
+
+    const oldestFirst = await request(app)
+      .get(`${API}/content-types/journal_entry/entries?user_id=${userId}&limit=3&sort_order=asc&include_total=true`)
+      .expect(200);
+
+    expect(oldestFirst.body.data.entries[0]._id).toBe(ids[3]);
+    expect(oldestFirst.body.data.pagination).toMatchObject({ limit: 3, has_more: true, total: 5 });
+
+    await request(app)
+      .get(`${API}/users/${userId}/entries?sort_by=search_metadata.boost_factor`)
+      .expect(400);
+
+    await request(app)
+      .get(`${API}/users/${userId}/entries?sort_order=asc&cursor=${first.body.data.pagination.next_cursor}`)
+      .expect(400);
+  });
+});
+
+describe('Response fields', () => {
+  test('omits embeddings by default and honours fields / exclude', async () => {
+    const userId = uuidv4();
+    const [id] = await createEntries([buildEntry({ user_id: userId, primary_embedding: axisEmbedding(0) })]);
+
+    const fetched = await request(app)
+      .get(`${API}/entries/${id}`)
+      .expect(200);
+
+    expect(fetched.body.data).not.toHaveProperty('primary_embedding');
+    expect(fetched.body.data).not.toHaveProperty('lightweight_embedding');
+    expect(fetched.body.data.title).toBeDefined();
+
+    const selected = await request(app)
+      .get(`${API}/entries/${id}?fields=title,emotion_context.dominant_emotion`)
+      .expect(200);
+
+    expect(selected.body.data).toEqual({
+      _id: id,
+      title: 'Test Entry',
+      emotion_context: { dominant_emotion: 'joy' }
+    });
+
+    const search = await request(app)
+      .post(`${API}/search`)
+      .send({ embedding: axisEmbedding(0), user_id: userId, fields: ['title', 'primary_embedding'] })
+      .expect(200);
+
+    expect(Object.keys(search.body.data.results[0]).sort())
+      .toEqual(['$similarity', '_id', 'primary_embedding', 'title']);
+    expect(search.body.data.results[0].primary_embedding).toEqual(axisEmbedding(0));
+
+    const listed = await request(app)
+      .get(`${API}/users/${userId}/entries?exclude=content&exclude=linked_entities`)
+      .expect(200);
+
+    const [listedEntry] = listed.body.data.entries;
+    expect(listedEntry).not.toHaveProperty('content');
+    expect(listedEntry).not.toHaveProperty('linked_entities');
+    expect(listedEntry).not.toHaveProperty('primary_embedding');
+    expect(listedEntry.title).toBe('Test Entry');
+
+    await request(app)
+      .get(`${API}/entries/${id}?fields=title;drop`)
+      .expect(400);
+  });
+});
+
+describe('Lightweight vector index', () => {
+  // Lightweight vectors pointing mostly along `axis`, with a little of `lean`
+  const lightweightEmbedding = (axis, lean = axis, amount = 0) =>
+    axisEmbedding(axis, 384).map((value, i) => (i === lean && lean !== axis ? amount : value));
+
+  const setup = async () => {
+    const userId = uuidv4();
+    const ids = await createEntries([
+      buildEntry({ user_id: userId, title: 'A', primary_embedding: axisEmbedding(0), lightweight_embedding: lightweightEmbedding(0) }),
+      buildEntry({ user_id: userId, title: 'B', primary_embedding: axisEmbedding(1), lightweight_embedding: lightweightEmbedding(0, 1, 0.5) }),
+      buildEntry({ user_id: userId, title: 'C', primary_embedding: axisEmbedding(1), lightweight_embedding: lightweightEmbedding(1) })
+    ]);
+    return { userId, ids };
+  };
+
+  test('searches the lightweight embedding alone', async () => {
+    const { userId } = await setup();
+
+    const response = await request(app)
+      .post(`${API}/search`)
+      .send({
+        user_id: userId,
+        vector_index: 'lightweight',
+        lightweight_embedding: lightweightEmbedding(0),
+        similarity_threshold: 0.8
+      })
+      .expect(200);
+
+    expect(response.body.data.vector_index).toBe('lightweight');
+    expect(response.body.data.results.map(result => result.title)).toEqual(['A', 'B']);
+    expect(response.body.data.results[0].$similarity).toBeCloseTo(1);
+  });
+
+  test('re-scores lightweight candidates with primary_embedding in two_stage mode', async () => {
+    const { userId } = await setup();
+
+    const response = await request(app)
+      .post(`${API}/search`)
+      .send({
+        user_id: userId,
+        vector_index: 'two_stage',
+        embedding: axisEmbedding(1),
+        lightweight_embedding: lightweightEmbedding(0),
+        rescore_limit: 2,
+        limit: 2,
+        similarity_threshold: 0
+      })
+      .expect(200);
+
+    // C matches the primary query best but never made the lightweight shortlist
+    const [first, second] = response.body.data.results;
+    expect(response.body.data.results).toHaveLength(2);
+    expect(first.title).toBe('B');
+    expect(first.$similarity).toBeCloseTo(1);
+    expect(first.$lightweight_similarity).toBeLessThan(1);
+    expect(second.title).toBe('A');
+  });
+
+  test('keeps the lightweight index in sync with deletes and validates the query', async () => {
+    const { userId, ids } = await setup();
+
+    await request(app).delete(`${API}/entries/${ids[0]}`).expect(200);
+
+    const response = await request(app)
+      .post(`${API}/search`)
+      .send({ user_id: userId, vector_index: 'lightweight', lightweight_embedding: lightweightEmbedding(0) })
+      .expect(200);
+
+    expect(response.body.data.results.map(result => result.title)).toEqual(['B']);
+
+    await request(app)
+      .post(`${API}/search`)
+      .send({ user_id: userId, vector_index: 'lightweight', embedding: axisEmbedding(0) })
+      .expect(400);
+
+    await request(app)
+      .post(`${API}/search`)
+      .send({ user_id: userId, embedding: axisEmbedding(0), lightweight_embedding: lightweightEmbedding(0) })
+      .expect(400);
+  });
+
+  test('leaves the mirror alone for entries without a lightweight embedding', async () => {
+    const syncEntries = jest.spyOn(lightweightIndex, 'syncEntries');
+
+    try {
+      const { lightweight_embedding, ...entry } = buildEntry();
+      const created = await request(app).post(`${API}/entries`).send(entry).expect(201);
+      await request(app).patch(`${API}/entries/${created.body.data.id}`).send({ title: 'Renamed' }).expect(200);
+
+      expect(syncEntries).not.toHaveBeenCalled();
+    } finally {
+      syncEntries.mockRestore();
+    }
+  });
+
+  test('a mirror failure does not fail a stored write', async () => {
+    const syncEntries = jest.spyOn(lightweightIndex, 'syncEntries').mockRejectedValue(new Error('mirror unavailable'));
+    const userId = uuidv4();
+
+    try {
+      await request(app).post(`${API}/entries`).send(buildEntry({ user_id: userId })).expect(201);
+    } finally {
+      syncEntries.mockRestore();
+    }
+
+    const listing = await request(app).get(`${API}/users/${userId}/entries`).expect(200);
+    expect(listing.body.data.pagination.total).toBe(1);
+  });
+});
+
+describe('Multi-vector search', () => {
+  test('ranks by weighted per-vector similarity', async () => {
+    const userId = uuidv4();
+    await createEntries([
+      buildEntry({ user_id: userId, title: 'No features', primary_embedding: axisEmbedding(0) }),
+      buildEntry({
+        user_id: userId,
+        title: 'Calm',
+        primary_embedding: axisEmbedding(0),
+        feature_vectors: { emotional: axisEmbedding(1, 20) }
+      }),
+      buildEntry({
+        user_id: userId,
+        title: 'Anxious',
+        primary_embedding: axisEmbedding(0),
+        feature_vectors: { emotional: axisEmbedding(2, 20), temporal: axisEmbedding(0, 25) }
+      })
+    ]);
+
+    const response = await request(app)
+      .post(`${API}/search`)
+      .send({
+        embedding: axisEmbedding(0),
+        user_id: userId,
+        vector_weights: { primary: 0.5, emotional: 0.5 },
+        feature_vectors: { emotional: axisEmbedding(2, 20) },
+        similarity_threshold: 0
+      })
+      .expect(200);
+
+    const { results } = response.body.data;
+    expect(results.map(result => result.title)).toEqual(['Anxious', 'Calm', 'No features']);
+    expect(results[0].$similarity).toBeCloseTo(1);
+    expect(results[0].$vector_similarities).toEqual({ primary: expect.any(Number), emotional: expect.any(Number) });
+    expect(results[1].$vector_similarities.emotional).toBeCloseTo(0.5);
+    expect(results[2].$similarity).toBeCloseTo(0.5);
+    expect(results[0]).not.toHaveProperty('feature_vectors');
+  });
+
+  test('requires a query vector for every weighted feature vector', async () => {
+    const response = await request(app)
+      .post(`${API}/search`)
+      .send({ embedding: axisEmbedding(0), vector_weights: { primary: 0.7, temporal: 0.3 } })
+      .expect(400);
+
+    expect(response.body.error).toMatch(/temporal/);
+
+    await request(app)
+      .post(`${API}/entries`)
+      .send(buildEntry({ feature_vectors: { emotional: axisEmbedding(0, 19) } }))
+      .expect(400);
+  });
+});
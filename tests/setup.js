@@ -1,6 +1,12 @@
 // Test setup file
 require('dotenv').config({ path: '.env.test' });
 
+// API suites run without credentials; tests/auth.test.js enables authentication
+process.env.AUTH_MODE = process.env.AUTH_MODE || 'disabled';
+
+// Suites share one client; tests/limits.test.js covers the limits
+process.env.RATE_LIMIT_MAX_REQUESTS = process.env.RATE_LIMIT_MAX_REQUESTS || '100000';
+
 // Mock AstraDB client for testing
 jest.mock('../config/astradb', () => ({
   connect: jest.fn(),